@@ -0,0 +1,152 @@
+const trinoService = require("../services/trinoService");
+const tableAccessService = require("../services/tableAccessService");
+const auditService = require("../services/auditService");
+const { TableAccessError } = tableAccessService;
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const EDITABLE_FIELDS = new Set(["enabled", "description"]);
+const AUDIT_STATUSES = new Set(["success", "error"]);
+
+// Live tables merged with their tableAccess.json entries. Entries for tables that no
+// longer exist are listed too (inLiveSchema: false) so they can be cleaned up.
+exports.listTables = async (req, res) => {
+    try {
+        const liveTables = await trinoService.getTables();
+        const config = tableAccessService.getConfig() || {};
+        const tables = new Map();
+
+        for (const { catalog, schema, table, fullName } of liveTables) {
+            tables.set(fullName.toLowerCase(), { fullName, catalog, schema, table, inLiveSchema: true });
+        }
+        for (const [catalogSchema, catalogTables] of Object.entries(config)) {
+            if (!catalogTables || typeof catalogTables !== "object") continue;
+            const [catalog, schema] = catalogSchema.split(".");
+            for (const table of Object.keys(catalogTables)) {
+                const fullName = `${catalogSchema}.${table}`;
+                if (!tables.has(fullName)) tables.set(fullName, { fullName, catalog, schema, table, inLiveSchema: false });
+            }
+        }
+
+        const result = Array.from(tables.values()).map((info) => {
+            const entry = tableAccessService.getTableConfig(`${info.catalog}.${info.schema}`, info.table);
+            return {
+                ...info,
+                enabled: tableAccessService.isTableEnabled(info.fullName),
+                configured: entry !== null,
+                description: entry?.description || null,
+                columnRules: Object.keys(entry?.columns || {}).length,
+            };
+        }).sort((a, b) => a.fullName.localeCompare(b.fullName));
+
+        res.json({ success: true, config: tableAccessService.getStatus(), tables: result });
+    } catch (error) {
+        console.error("Admin list tables error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+exports.updateTable = async (req, res) => {
+    try {
+        const parts = req.params.tableName.split(".");
+        if (parts.length !== 3 || parts.some(part => part.length === 0)) {
+            return res.status(400).json({ success: false, error: "Table name should be in format: catalog.schema.table" });
+        }
+
+        const changes = req.body || {};
+        const fields = Object.keys(changes);
+        if (fields.length === 0 || fields.some(field => !EDITABLE_FIELDS.has(field))) {
+            return res.status(400).json({ success: false, error: "Provide enabled and/or description" });
+        }
+        if (changes.enabled !== undefined && typeof changes.enabled !== "boolean") {
+            return res.status(400).json({ success: false, error: "enabled must be a boolean" });
+        }
+        if (changes.description !== undefined &&
+            (typeof changes.description !== "string" || changes.description.length > MAX_DESCRIPTION_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`,
+            });
+        }
+
+        // Only tables that exist in Trino can be configured
+        const liveTables = await trinoService.getTables();
+        if (liveTables.length === 0) {
+            return res.status(503).json({ success: false, error: "Live schema is unavailable; cannot validate the table" });
+        }
+        const fullName = parts.join(".").toLowerCase();
+        if (!liveTables.some(t => t.fullName.toLowerCase() === fullName)) {
+            return res.status(404).json({ success: false, error: `Table ${fullName} does not exist in the live schema` });
+        }
+
+        const [catalog, schema, table] = parts;
+        const change = await tableAccessService.updateTable(`${catalog}.${schema}`, table, changes, {
+            id: req.user.id,
+            name: req.user.name,
+        });
+        console.log(`Table access for ${change.table} changed by ${req.user.id}`);
+        res.json({ success: true, table: change.table, before: change.before, after: change.after });
+    } catch (error) {
+        console.error("Admin update table error:", error);
+        if (error instanceof TableAccessError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Trino connections (without secrets), their last health check and the client pool.
+// ?check=true health-checks every connection first.
+exports.getConnections = async (req, res) => {
+    try {
+        if (req.query.check === "true") await trinoService.checkConnections();
+        res.json({ success: true, ...trinoService.getConnectionStatus() });
+    } catch (error) {
+        console.error("Admin connections error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+exports.getTableAccessHistory = async (req, res) => {
+    try {
+        const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+        const changes = await tableAccessService.getAuditLog(limit);
+        res.json({ success: true, changes });
+    } catch (error) {
+        console.error("Admin table access history error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Searches the query audit log. Filters: from, to (ISO dates or timestamps), user,
+// table, brand, source (chat, results, export, backtest, saved, schedule,
+// cache_refresh), status (success, error)
+exports.searchAuditLog = async (req, res) => {
+    try {
+        // Repeated query parameters arrive as arrays; only single values are supported
+        const param = name => (typeof req.query[name] === "string" && req.query[name] !== "" ? req.query[name] : undefined);
+        const [from, to, status] = [param("from"), param("to"), param("status")];
+        const filters = { user: param("user"), table: param("table"), brand: param("brand"), source: param("source"), status };
+
+        for (const [name, value] of [["from", from], ["to", to]]) {
+            if (value === undefined) continue;
+            const date = new Date(value);
+            if (isNaN(date)) {
+                return res.status(400).json({ success: false, error: `${name} must be an ISO date or timestamp` });
+            }
+            // A bare date in "to" covers that whole day
+            filters[name] = name === "to" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+                ? `${value}T23:59:59.999Z`
+                : date.toISOString();
+        }
+        if (status !== undefined && !AUDIT_STATUSES.has(status)) {
+            return res.status(400).json({ success: false, error: "status must be success or error" });
+        }
+
+        const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+        const entries = await auditService.search(filters, limit);
+        res.json({ success: true, count: entries.length, entries });
+    } catch (error) {
+        console.error("Audit search error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
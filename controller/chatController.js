@@ -1,133 +1,358 @@
 const trinoService = require("../services/trinoService");
 const openaiService = require("../services/openaiService");
+const brandScopeService = require("../services/brandScopeService");
+const conversationService = require("../services/conversationService");
+const forecastService = require("../services/forecastService");
+const resultService = require("../services/resultService");
+const authService = require("../services/authService");
+const auditService = require("../services/auditService");
+const chartService = require("../services/chartService");
+const { SqlGuardError } = require("../services/sqlGuard");
+
+const SQL_REPAIR_MAX_RETRIES = Math.max(0, parseInt(process.env.SQL_REPAIR_MAX_RETRIES ?? "2", 10) || 0);
+
+// Validates the request body and resolves the brand scope shared by both chat endpoints.
+// Users limited to some brands can only request those; with a single brand it is forced.
+async function prepareChat(body, user) {
+    const { message, sessionId, brand } = body;
+
+    if (!message || typeof message !== "string") {
+        return { error: { status: 400, body: { success: false, error: "Message is required" } } };
+    }
 
-const conversations = new Map();
+    if (sessionId !== undefined && (typeof sessionId !== "string" || sessionId.length === 0 || sessionId.length > 200)) {
+        return { error: { status: 400, body: { success: false, error: "sessionId must be a non-empty string" } } };
+    }
 
-exports.chat = async (req, res) => {
+    let brandScope = null;
     try {
-        const { message, sessionId = "default", brand } = req.body;
+        const entitledBrand = authService.resolveEntitledBrand(user, brand);
+        if (entitledBrand) brandScope = await brandScopeService.resolveBrand(entitledBrand);
+    } catch (brandError) {
+        if (!(brandError instanceof SqlGuardError)) throw brandError;
+        return {
+            error: {
+                status: brandError.code === "brand_not_allowed" ? 403 : 400,
+                body: { success: false, type: "error", error: brandError.message, rejection: brandError.toJSON() },
+            },
+        };
+    }
+
+    const session = await conversationService.getOrCreateSession(sessionId, user.id);
+    return { message, brandScope, session, user };
+}
+
+// Transcript entries keep result metadata (columns, row count), not the rows themselves
+function toTranscriptEntry(response) {
+    return {
+        role: "assistant",
+        timestamp: new Date().toISOString(),
+        type: response.type,
+        content: response.resultExplanation || response.message || response.error || "",
+        sql: response.sql || null,
+        resultId: response.resultId || null,
+        queryId: response.queryId || null,
+        executedSql: response.executedSql || null,
+        columns: response.columns || null,
+        rowCount: response.rowCount ?? null,
+        truncated: response.truncated || false,
+        isForecast: response.isForecast || false,
+        chartType: response.chart?.type || null,
+        attempts: response.attempts || null,
+        error: response.success ? null : (response.error || response.message || null),
+    };
+}
+
+// Guard rejections that a rewritten query cannot fix are not sent back for repair
+const UNREPAIRABLE_REJECTIONS = new Set([
+    "write_operation", "statement_not_allowed", "table_not_accessible",
+    "column_not_accessible", "masked_column_expression", "unknown_brand",
+    "cross_connection_query",
+]);
+
+// Cancelled and timed-out queries are stopped on purpose, not broken
+const UNREPAIRABLE_QUERY_ERRORS = new Set(["USER_CANCELED", "EXCEEDED_TIME_LIMIT"]);
 
-        if (!message || typeof message !== "string") {
-            return res.status(400).json({ success: false, error: "Message is required" });
+function isRepairable(error) {
+    if (UNREPAIRABLE_QUERY_ERRORS.has(error.errorName)) return false;
+    return !(error instanceof SqlGuardError) || !UNREPAIRABLE_REJECTIONS.has(error.code);
+}
+
+// Executes `execution.sql`, asking the model for a corrected query after each
+// failure. Every attempt is recorded on `execution.attempts`. `queryOptions`
+// (signal, userId, audit) are passed through to executeQuery.
+async function executeWithRepair(message, brandScope, execution, emit, queryOptions = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            execution.executedSql = execution.sql;
+            execution.scopedTables = [];
+            if (brandScope) {
+                try {
+                    const scoped = brandScopeService.scopeSql(execution.sql, brandScope);
+                    execution.executedSql = scoped.sql;
+                    execution.scopedTables = scoped.scopedTables;
+                } catch (scopeError) {
+                    // Never reaches executeQuery, so it is audited here
+                    auditService.record({
+                        ...queryOptions.audit,
+                        generatedSql: execution.sql,
+                        attempt,
+                        userId: queryOptions.userId || null,
+                        status: "error",
+                        error: scopeError.message,
+                        errorCode: scopeError.code || null,
+                    });
+                    throw scopeError;
+                }
+            }
+
+            emit("query_started", { sql: execution.executedSql, attempt });
+            execution.queryId = null;
+            const results = await trinoService.executeQuery(execution.executedSql, true, {
+                onQueryId: (queryId) => {
+                    execution.queryId = queryId;
+                    emit("query_id", { queryId, attempt });
+                },
+                onColumns: (columns, columnTypes) => emit("columns", { columns, columnTypes }),
+                onRows: (rows) => emit("rows", { rows }),
+                ...queryOptions,
+                audit: { ...queryOptions.audit, generatedSql: execution.sql, attempt },
+                timeoutMs: trinoService.getQueryTimeout("chat"),
+            });
+            execution.attempts.push({ attempt, sql: execution.sql, queryId: execution.queryId, success: true });
+            return results;
+        } catch (queryError) {
+            execution.attempts.push({
+                attempt,
+                sql: execution.sql,
+                queryId: execution.queryId,
+                success: false,
+                error: queryError.message,
+            });
+            if (attempt > SQL_REPAIR_MAX_RETRIES || !isRepairable(queryError)) throw queryError;
+
+            console.log(`Query attempt ${attempt} failed, requesting repair: ${queryError.message}`);
+            const repair = await openaiService.repairSQL(message, execution.sql, queryError.message);
+            if (!repair.sql || repair.sql.trim() === execution.sql.trim()) throw queryError;
+
+            emit("repair", { attempt, error: queryError.message, sql: repair.sql, explanation: repair.explanation });
+            execution.sql = repair.sql;
         }
+    }
+}
 
-        if (!conversations.has(sessionId)) {
-            conversations.set(sessionId, []);
+// Appends one forecast column per metric to the historical rows and adds a row per
+// predicted date (and dimension group) for every forecasted series. This is the table
+// view; the chart draws from chartService.recommendForecast() instead.
+function mergeForecast(results, forecastResult) {
+    const { dateColumnIndex, dimensionColumnIndexes } = forecastResult;
+    const series = forecastResult.series.filter(s => s.success);
+    const forecastColumns = [...new Set(series.map(s => s.forecastColumn))];
+    const columns = [...results.columns, ...forecastColumns];
+    const metricIndexes = [...new Set(series.map(s => s.metricColumnIndex))];
+    const groupKey = row => JSON.stringify(dimensionColumnIndexes.map(i => row[i]));
+    const dateKey = value => String(value).split("T")[0];
+
+    // Drop historical rows without a date or without any metric value (incomplete data)
+    const rows = results.rows
+        .filter(row => row[dateColumnIndex] && metricIndexes.some(i => row[i] !== null && row[i] !== undefined))
+        .map(row => [...row, ...forecastColumns.map(() => null)]);
+    const existing = new Set(rows.map(row => `${groupKey(row)}|${dateKey(row[dateColumnIndex])}`));
+    const predictedRows = new Map();
+
+    for (const s of series) {
+        const key = JSON.stringify(s.groupValues);
+        const forecastIdx = results.columns.length + forecastColumns.indexOf(s.forecastColumn);
+
+        for (const prediction of s.predictions) {
+            const rowKey = `${key}|${prediction.date}`;
+            if (existing.has(rowKey)) continue;
+            if (!predictedRows.has(rowKey)) {
+                const row = new Array(columns.length).fill(null);
+                row[dateColumnIndex] = prediction.date;
+                dimensionColumnIndexes.forEach((columnIndex, k) => { row[columnIndex] = s.groupValues[k]; });
+                predictedRows.set(rowKey, row);
+            }
+            predictedRows.get(rowKey)[forecastIdx] = prediction.value;
         }
-        const history = conversations.get(sessionId);
-
-        const aiResponse = await openaiService.generateSQL(message, history, brand);
-        history.push({ role: "user", content: message });
-
-        let response;
-
-        if (aiResponse.type === "query" || aiResponse.type === "forecast") {
-            try {
-                const results = await trinoService.executeQuery(aiResponse.sql);
-                let responseData = {
-                    columns: results.columns,
-                    rows: results.rows,
-                    rowCount: results.rows.length,
-                };
-
-                // Handle Forecast using OpenAI
-                if (aiResponse.type === "forecast") {
-                    const forecastPeriod = parseInt(aiResponse.forecast_period) || 30;
-                    console.log(`Forecast requested for ${forecastPeriod} periods - sending to OpenAI`);
-
-                    const forecastResult = await openaiService.generateForecast(message, results, forecastPeriod);
-                    console.log(`OpenAI forecast result: ${forecastResult.success ? 'success' : 'failed'}`);
-
-                    if (forecastResult.success && forecastResult.predictions) {
-                        // Add "Forecast" column and merge predictions cleanly
-                        const newColumns = [...results.columns, "Forecast"];
-                        const dateColIdx = results.columns.findIndex(c => c.toLowerCase().includes('date'));
-                        const valueColIdx = results.columns.findIndex((c, i) =>
-                            i !== dateColIdx && results.rows.length > 0 && !isNaN(parseFloat(results.rows[0][i]))
-                        );
-
-                        // Filter out historical rows that have NULL values (incomplete data)
-                        const validHistoricalRows = results.rows.filter(row =>
-                            row[dateColIdx] && row[valueColIdx] !== null && row[valueColIdx] !== undefined
-                        );
-
-                        // Create a set of existing dates to avoid duplicates
-                        const existingDates = new Set(validHistoricalRows.map(row => row[dateColIdx]));
-
-                        // Transform valid historical rows: add null for Forecast column
-                        const newRows = validHistoricalRows.map(row => [...row, null]);
-
-                        // Get the last actual value to connect the forecast line
-                        if (newRows.length > 0) {
-                            const lastRow = newRows[newRows.length - 1];
-                            lastRow[newColumns.length - 1] = parseFloat(lastRow[valueColIdx]); // Connect forecast line
-                        }
-
-                        // Add prediction rows for dates that don't already exist
-                        for (const pred of forecastResult.predictions) {
-                            if (!existingDates.has(pred.date)) {
-                                const newRow = new Array(newColumns.length).fill(null);
-                                newRow[dateColIdx] = pred.date;
-                                newRow[newColumns.length - 1] = pred.value; // Forecast column
-                                newRows.push(newRow);
-                            }
-                        }
-
-                        responseData.columns = newColumns;
-                        responseData.rows = newRows;
-                        responseData.rowCount = newRows.length;
-                        responseData.forecastAnalysis = forecastResult.analysis;
-                        responseData.forecastSummary = forecastResult.summary;
-                    }
+    }
+
+    const predicted = [...predictedRows.values()]
+        .sort((a, b) => String(a[dateColumnIndex]).localeCompare(String(b[dateColumnIndex])));
+    return { columns, rows: [...rows, ...predicted] };
+}
+
+// Runs one chat turn. `emit` receives progress events; the JSON endpoint ignores them.
+async function runChat({ message, brandScope, session, user, signal }, emit = () => {}) {
+    const history = session.messages;
+    // Only this turn's entries are saved, onto whatever the session holds by then
+    const turnStart = { messages: history.length, transcript: session.transcript.length };
+    const aiResponse = await openaiService.generateSQL(message, history, brandScope?.brand);
+    history.push({ role: "user", content: message });
+    session.transcript.push({
+        role: "user",
+        timestamp: new Date().toISOString(),
+        content: message,
+        brand: brandScope?.brand || null,
+    });
+
+    let response;
+
+    if (aiResponse.type === "query" || aiResponse.type === "forecast") {
+        emit("sql", {
+            type: aiResponse.type,
+            sql: aiResponse.sql,
+            explanation: aiResponse.explanation,
+            schemaSelection: aiResponse.schemaSelection,
+        });
+        const execution = { sql: aiResponse.sql, executedSql: aiResponse.sql, scopedTables: [], queryId: null, attempts: [] };
+        try {
+            const results = await executeWithRepair(message, brandScope, execution, emit, {
+                signal,
+                userId: user.id,
+                audit: { source: "chat", sessionId: session.id, brand: brandScope?.brand || null, question: message },
+            });
+            const { sql, executedSql, scopedTables, attempts } = execution;
+            const resultId = resultService.register({
+                sql,
+                brandScope,
+                sessionId: session.id,
+                userId: user.id,
+                columns: results.columns,
+                rows: results.rows,
+                truncated: results.truncated,
+            });
+            let responseData = {
+                columns: results.columns,
+                rows: results.rows,
+                rowCount: results.rows.length,
+                chart: chartService.recommend(results),
+            };
+
+            // Forecast numbers are computed locally; the LLM only describes them
+            if (aiResponse.type === "forecast") {
+                const forecastPeriod = parseInt(aiResponse.forecast_period) || 30;
+                const forecastResult = forecastService.forecast(results.columns, results.rows, forecastPeriod);
+                console.log(`Forecast for ${forecastPeriod} periods: ${forecastResult.success ? `${forecastResult.series.length} series` : forecastResult.message}`);
+
+                if (forecastResult.success) {
+                    const description = await openaiService.describeForecast(message, forecastResult);
+                    const merged = mergeForecast(results, forecastResult);
+
+                    responseData.columns = merged.columns;
+                    responseData.rows = merged.rows;
+                    responseData.rowCount = merged.rows.length;
+                    responseData.chart = chartService.recommendForecast(results, forecastResult);
+                    responseData.forecastAnalysis = description.analysis;
+                    responseData.forecastSummary = description.summary;
+                    responseData.forecast = {
+                        granularity: forecastResult.granularity,
+                        confidenceLevel: forecastResult.confidenceLevel,
+                        dateColumn: forecastResult.dateColumn,
+                        metricColumns: forecastResult.metricColumns,
+                        dimensionColumns: forecastResult.dimensionColumns,
+                        truncatedGroups: forecastResult.truncatedGroups,
+                        series: forecastResult.series.map(({ groupValues, metricColumnIndex, ...series }) => series),
+                    };
+                    // Accuracy of the first (largest) series; each series carries its own as well
+                    responseData.forecastAccuracy = forecastResult.series.find(series => series.success).accuracy;
+
+                    emit("forecast", {
+                        columns: responseData.columns,
+                        rows: responseData.rows,
+                        forecastAnalysis: responseData.forecastAnalysis,
+                        forecastSummary: responseData.forecastSummary,
+                        forecast: responseData.forecast,
+                        forecastAccuracy: responseData.forecastAccuracy,
+                        chart: responseData.chart,
+                    });
+                } else {
+                    responseData.forecastSummary = forecastResult.message;
                 }
+            }
 
-                const explanation = await openaiService.explainResults(message, aiResponse.sql, {
-                    columns: responseData.columns,
-                    rows: responseData.rows
-                });
-
-                response = {
-                    success: true,
-                    type: "query_result", // Keep type as query_result so frontend renders it as a table/chart
-                    sql: aiResponse.sql,
-                    queryExplanation: aiResponse.explanation,
-                    resultExplanation: explanation,
-                    columns: responseData.columns,
-                    rows: responseData.rows,
-                    rowCount: responseData.rowCount,
-                    fromCache: results.fromCache || false,
-                    isForecast: aiResponse.type === "forecast"
-                };
-
-                history.push({
-                    role: "assistant",
-                    content: JSON.stringify({
-                        type: aiResponse.type,
-                        sql: aiResponse.sql,
-                        rowCount: responseData.rowCount
-                    }),
-                });
-            } catch (queryError) {
-                response = {
-                    success: false,
-                    type: "query_error",
-                    sql: aiResponse.sql,
-                    error: queryError.message,
-                };
-                history.push({ role: "assistant", content: `Query failed: ${queryError.message}` });
+            const explanation = await openaiService.explainResults(message, sql, {
+                columns: responseData.columns,
+                rows: responseData.rows,
+                truncated: results.truncated,
+            }, (delta) => emit("explanation", { delta }));
+
+            response = {
+                success: true,
+                type: "query_result",
+                resultId,
+                queryId: execution.queryId,
+                sql,
+                executedSql,
+                brandScope: brandScope ? { brand: brandScope.brand, scopedTables } : null,
+                attempts,
+                repaired: attempts.length > 1,
+                queryExplanation: aiResponse.explanation,
+                resultExplanation: explanation,
+                columns: responseData.columns,
+                rows: responseData.rows,
+                rowCount: responseData.rowCount,
+                truncated: results.truncated || false,
+                chart: responseData.chart,
+                forecastAnalysis: responseData.forecastAnalysis,
+                forecastSummary: responseData.forecastSummary,
+                forecastAccuracy: responseData.forecastAccuracy,
+                forecast: responseData.forecast,
+                fromCache: results.fromCache || false,
+                isForecast: aiResponse.type === "forecast"
+            };
+
+            history.push({
+                role: "assistant",
+                content: JSON.stringify({
+                    type: aiResponse.type,
+                    sql,
+                    rowCount: responseData.rowCount
+                }),
+            });
+        } catch (queryError) {
+            response = {
+                success: false,
+                type: "query_error",
+                queryId: execution.queryId,
+                sql: execution.sql,
+                executedSql: execution.executedSql,
+                error: queryError.message,
+                attempts: execution.attempts,
+            };
+            if (queryError instanceof SqlGuardError) {
+                response.rejection = queryError.toJSON();
             }
-        } else if (aiResponse.type === "error") {
-            response = { success: false, type: "error", message: aiResponse.message };
-            history.push({ role: "assistant", content: aiResponse.message });
-        } else {
-            response = { success: true, type: "text", message: aiResponse.message };
-            history.push({ role: "assistant", content: aiResponse.message });
+            history.push({ role: "assistant", content: `Query failed: ${queryError.message}` });
         }
+    } else if (aiResponse.type === "error") {
+        response = { success: false, type: "error", message: aiResponse.message };
+        history.push({ role: "assistant", content: aiResponse.message });
+    } else {
+        response = { success: true, type: "text", message: aiResponse.message };
+        history.push({ role: "assistant", content: aiResponse.message });
+    }
+
+    response.sessionId = session.id;
+    // Debug aid: which tables the SQL prompt carried and why
+    response.schemaSelection = aiResponse.schemaSelection;
+    session.transcript.push(toTranscriptEntry(response));
+    await conversationService.appendTurn(session, {
+        messages: history.slice(turnStart.messages),
+        transcript: session.transcript.slice(turnStart.transcript),
+    });
+
+    return response;
+}
 
-        if (history.length > 20) {
-            conversations.set(sessionId, history.slice(-20));
+exports.chat = async (req, res) => {
+    try {
+        const context = await prepareChat(req.body, req.user);
+        if (context.error) {
+            return res.status(context.error.status).json(context.error.body);
         }
 
+        const response = await runChat({ ...context, signal: req.abortSignal });
         res.json(response);
     } catch (error) {
         console.error("Chat error:", error);
@@ -135,6 +360,44 @@ exports.chat = async (req, res) => {
     }
 };
 
+// Server-Sent Events variant of /chat. Emits sql, query_started, query_id, columns, rows,
+// forecast and explanation events, then a final "result" event with the same
+// payload /chat returns.
+exports.chatStream = async (req, res) => {
+    let context;
+    try {
+        context = await prepareChat(req.body, req.user);
+    } catch (error) {
+        console.error("Chat stream error:", error);
+        return res.status(500).json({ success: false, type: "error", error: error.message });
+    }
+    if (context.error) {
+        return res.status(context.error.status).json(context.error.body);
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+
+    const emit = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const response = await runChat({ ...context, signal: req.abortSignal }, emit);
+        emit("result", response);
+    } catch (error) {
+        console.error("Chat stream error:", error);
+        emit("error", { success: false, type: "error", error: error.message });
+    }
+    res.end();
+};
+
 exports.getTables = async (req, res) => {
     try {
         const tables = await trinoService.getTables();
@@ -162,6 +425,9 @@ exports.getTableSchema = async (req, res) => {
         res.json({ success: true, table: tableName, columns: tableSchema });
     } catch (error) {
         console.error("Get schema error:", error);
+        if (error instanceof SqlGuardError) {
+            return res.status(403).json({ success: false, error: error.message, rejection: error.toJSON() });
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 };
@@ -178,8 +444,14 @@ exports.refreshSchema = async (req, res) => {
 
 exports.clearHistory = async (req, res) => {
     try {
-        const { sessionId = "default" } = req.body;
-        conversations.delete(sessionId);
+        const { sessionId } = req.body || {};
+        if (typeof sessionId !== "string" || sessionId === "") {
+            return res.status(400).json({ success: false, error: "sessionId is required" });
+        }
+        const deleted = await conversationService.deleteSession(sessionId, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: "Session not found" });
+        }
         res.json({ success: true, message: "Conversation history cleared" });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -188,115 +460,36 @@ exports.clearHistory = async (req, res) => {
 
 exports.getCacheStats = async (req, res) => {
     try {
-        const stats = trinoService.getCacheStats();
+        const stats = await trinoService.getCacheStats();
         res.json({ success: true, ...stats });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 };
 
+// ?table= (full or bare table name) clears only the queries reading that table
 exports.clearCache = async (req, res) => {
     try {
-        trinoService.clearCache();
-        res.json({ success: true, message: "Query cache cleared" });
+        const { table } = req.query;
+        if (table !== undefined) {
+            if (typeof table !== "string" || !/^[\w.]+$/.test(table)) {
+                return res.status(400).json({ success: false, error: "table must be a table name" });
+            }
+            const removed = await trinoService.clearCache(table);
+            return res.json({ success: true, message: `Cleared ${removed} cached queries for ${table}`, table, removed });
+        }
+        const removed = await trinoService.clearCache();
+        res.json({ success: true, message: "Query cache cleared", removed });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 };
 
-// Helper function to calculate linear regression and generate forecast
-function calculateForecast(columns, rows, periods = 30) {
-    console.log(`calculateForecast called with ${rows.length} rows, ${periods} periods`);
-    // 1. Identify Date and Metric columns
-    let dateColIdx = -1;
-    let metricColIdx = -1;
-
-    for (let i = 0; i < columns.length; i++) {
-        const colName = columns[i].toLowerCase();
-        if (colName.includes('date') || colName.includes('time') || colName.includes('day') || colName.includes('month')) {
-            dateColIdx = i;
-        } else if (rows.length > 0 && !isNaN(parseFloat(rows[0][i]))) {
-            // Pick first numeric column as metric if not already found
-            if (metricColIdx === -1) metricColIdx = i;
-        }
-    }
-
-    if (dateColIdx === -1 || metricColIdx === -1 || rows.length < 2) {
-        return null; // Cannot forecast
-    }
-
-    // 2. Prepare data for regression (x = timestamp, y = value)
-    const dataPoints = rows.map(row => {
-        const dateStr = row[dateColIdx];
-        const val = parseFloat(row[metricColIdx]);
-        if (!dateStr || isNaN(val)) return null;
-        return { x: new Date(dateStr).getTime(), y: val, date: new Date(dateStr) };
-    }).filter(p => p !== null);
-
-    if (dataPoints.length < 2) return null;
-
-    // Sort by date
-    dataPoints.sort((a, b) => a.x - b.x);
-
-    // 3. Linear Regression (Least Squares)
-    const n = dataPoints.length;
-    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
-
-    for (const p of dataPoints) {
-        sumX += p.x;
-        sumY += p.y;
-        sumXY += (p.x * p.y);
-        sumXX += (p.x * p.x);
-    }
-
-    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
-
-    // 4. Generate Future Points
-    const lastPoint = dataPoints[dataPoints.length - 1];
-    const newRows = [];
-
-    // Add "Forecast" column header
-    const newColumns = [...columns, "Forecast"];
-
-    // Transform existing rows: [Date, Val] -> [Date, Val, null]
-    rows.forEach(row => {
-        newRows.push([...row, null]);
-    });
-
-    // Generate N future points
-    // Detect interval (avg diff between points)
-    const avgInterval = (dataPoints[dataPoints.length - 1].x - dataPoints[0].x) / (n - 1);
-
-    let currentX = lastPoint.x;
-
-    // Connect the lines: Set 'Forecast' value for last row to Actual value
-    const lastRowIndex = newRows.length - 1;
-    newRows[lastRowIndex][newColumns.length - 1] = lastPoint.y;
-
-    for (let i = 1; i <= periods; i++) {
-        currentX += avgInterval;
-        const futureDate = new Date(currentX);
-        const futureVal = slope * currentX + intercept;
-
-        // Format date back to string (ISO YYYY-MM-DD)
-        const dateStr = futureDate.toISOString().split('T')[0];
-
-        const newRow = new Array(newColumns.length).fill(null);
-        newRow[dateColIdx] = dateStr;
-        newRow[newColumns.length - 1] = futureVal; // Forecast column
-
-        newRows.push(newRow);
-    }
-
-    return { columns: newColumns, rows: newRows };
-}
-
 exports.getBrands = async (req, res) => {
     try {
         const query = "SELECT distinct brand_name FROM database.global.t_master_brand ORDER BY brand_name";
         const results = await trinoService.executeQuery(query);
-        const brands = results.rows.map(row => row[0]);
+        const brands = authService.filterBrands(req.user, results.rows.map(row => row[0]));
         res.json({ success: true, brands });
     } catch (error) {
         console.error("Error fetching brands:", error);
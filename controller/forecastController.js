@@ -0,0 +1,56 @@
+const trinoService = require("../services/trinoService");
+const brandScopeService = require("../services/brandScopeService");
+const forecastService = require("../services/forecastService");
+const authService = require("../services/authService");
+const { SqlGuardError } = require("../services/sqlGuard");
+
+const MAX_HORIZONS = 5;
+const MAX_HORIZON = 365;
+
+exports.backtest = async (req, res) => {
+    try {
+        const { sql, brand, horizons = [7, 14, 30], folds = 3 } = req.body;
+
+        if (!sql || typeof sql !== "string") {
+            return res.status(400).json({ success: false, error: "SQL is required" });
+        }
+        const validHorizons = Array.isArray(horizons) && horizons.length > 0 && horizons.length <= MAX_HORIZONS &&
+            horizons.every(h => Number.isInteger(h) && h > 0 && h <= MAX_HORIZON);
+        if (!validHorizons) {
+            return res.status(400).json({
+                success: false,
+                error: `horizons must be 1-${MAX_HORIZONS} integers between 1 and ${MAX_HORIZON}`,
+            });
+        }
+        if (!Number.isInteger(folds) || folds < 1 || folds > 10) {
+            return res.status(400).json({ success: false, error: "folds must be an integer between 1 and 10" });
+        }
+
+        let executedSql = sql;
+        let brandScope = null;
+        const entitledBrand = authService.resolveEntitledBrand(req.user, brand);
+        if (entitledBrand) {
+            brandScope = await brandScopeService.resolveBrand(entitledBrand);
+            executedSql = brandScopeService.scopeSql(sql, brandScope).sql;
+        }
+
+        const results = await trinoService.executeQuery(executedSql, true, {
+            signal: req.abortSignal,
+            userId: req.user.id,
+            audit: { source: "backtest", brand: brandScope?.brand || null, generatedSql: sql },
+            timeoutMs: trinoService.getQueryTimeout("backtest"),
+        });
+        const backtest = forecastService.backtest(results.columns, results.rows, horizons, { folds });
+        if (!backtest.success) {
+            return res.status(422).json({ success: false, error: backtest.message });
+        }
+
+        res.json({ success: true, sql, executedSql, ...backtest });
+    } catch (error) {
+        console.error("Backtest error:", error);
+        if (error instanceof SqlGuardError) {
+            return res.status(error.code === "brand_not_allowed" ? 403 : 400).json({ success: false, error: error.message, rejection: error.toJSON() });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
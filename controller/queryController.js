@@ -0,0 +1,20 @@
+const trinoService = require("../services/trinoService");
+
+// Admins see and can cancel every running query; other users only their own
+function ownerFilter(user) {
+    return user.role === "admin" ? null : user.id;
+}
+
+exports.listQueries = (req, res) => {
+    res.json({ success: true, queries: trinoService.listRunningQueries(ownerFilter(req.user)) });
+};
+
+// Only queries started by this server can be cancelled; the request that started
+// the query fails with a "Query was cancelled." error
+exports.cancelQuery = (req, res) => {
+    const { queryId } = req.params;
+    if (!trinoService.cancelQuery(queryId, ownerFilter(req.user))) {
+        return res.status(404).json({ success: false, error: "Query not found or already finished" });
+    }
+    res.json({ success: true, queryId, cancelled: true });
+};
@@ -0,0 +1,170 @@
+const trinoService = require("../services/trinoService");
+const brandScopeService = require("../services/brandScopeService");
+const resultService = require("../services/resultService");
+const exportService = require("../services/exportService");
+const sqlGuard = require("../services/sqlGuard");
+const { SqlGuardError } = sqlGuard;
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const MAX_EXPORT_ROWS = parseInt(process.env.MAX_EXPORT_ROWS, 10) || 1000000;
+
+// Applies the stored brand scope again; every re-run goes through the guards as well
+function buildSql(stored, sql) {
+    return stored.brandScope ? brandScopeService.scopeSql(sql, stored.brandScope).sql : sql;
+}
+
+function auditContext(source, stored) {
+    return {
+        source,
+        resultId: stored.id,
+        sessionId: stored.sessionId,
+        brand: stored.brandScope?.brand || null,
+        generatedSql: stored.sql,
+    };
+}
+
+// Trino may drop an ORDER BY inside a subquery, so an ordered query keeps its ORDER BY at
+// the top and gets the page's OFFSET/LIMIT folded into its own. Anything else is wrapped;
+// it had no order to lose. Returns null when the page lies past the query's own LIMIT.
+function buildPageSql(sql, offset, count) {
+    const paging = sqlGuard.splitPaging(sql);
+    if (!paging?.ordered) return `SELECT * FROM (\n${sql}\n) __page OFFSET ${offset} LIMIT ${count}`;
+    const limit = paging.limit === null ? count : Math.min(count, paging.limit - offset);
+    if (limit <= 0) return null;
+    return `${paging.sql}\nOFFSET ${paging.offset + offset} LIMIT ${limit}`;
+}
+
+function parsePositiveInt(value, fallback) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// `page` is the cursor: responses carry `nextPage` until the result is exhausted.
+// Pages inside the rows kept from the chat turn are served from memory; anything
+// else (expired rows, pages past the row cap) re-runs the query with OFFSET/LIMIT.
+exports.getResultPage = async (req, res) => {
+    const page = parsePositiveInt(req.query.page, 1);
+    const pageSize = parsePositiveInt(req.query.pageSize, DEFAULT_PAGE_SIZE);
+    if (page === null || pageSize === null || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({
+            success: false,
+            error: `page must be a positive integer and pageSize between 1 and ${MAX_PAGE_SIZE}`,
+        });
+    }
+
+    const stored = resultService.getResult(req.params.resultId, req.user.id);
+    if (!stored) {
+        return res.status(404).json({ success: false, error: "Result not found or expired" });
+    }
+
+    try {
+        const offset = (page - 1) * pageSize;
+        let columns = stored.columns;
+        let rows;
+        let hasMore;
+        let source = "stored";
+
+        if (stored.rows && (!stored.truncated || offset + pageSize <= stored.rows.length)) {
+            rows = stored.rows.slice(offset, offset + pageSize);
+            hasMore = offset + pageSize < stored.rows.length || stored.truncated;
+        } else {
+            // One extra row tells whether another page exists
+            const sql = buildPageSql(buildSql(stored, stored.sql.trim().replace(/;+$/, "")), offset, pageSize + 1);
+            if (sql === null) {
+                rows = [];
+                hasMore = false;
+            } else {
+                const results = await trinoService.executeQuery(sql, true, {
+                    maxRows: pageSize + 1,
+                    signal: req.abortSignal,
+                    userId: req.user.id,
+                    audit: auditContext("results", stored),
+                    timeoutMs: trinoService.getQueryTimeout("results"),
+                });
+                columns = results.columns;
+                rows = results.rows.slice(0, pageSize);
+                hasMore = results.rows.length > pageSize;
+            }
+            source = "query";
+        }
+
+        res.json({
+            success: true,
+            resultId: stored.id,
+            columns,
+            rows,
+            page,
+            pageSize,
+            hasMore,
+            nextPage: hasMore ? page + 1 : null,
+            source,
+        });
+    } catch (error) {
+        console.error("Result page error:", error);
+        if (error instanceof SqlGuardError) {
+            return res.status(400).json({ success: false, error: error.message, rejection: error.toJSON() });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Re-runs a stored chat result without its default LIMIT and streams it back as a file.
+// The query goes through the same guard, access and column checks as /chat. A file cut
+// off at MAX_EXPORT_ROWS is flagged by the X-Export-Truncated trailer and, in XLSX, a Notes sheet.
+exports.exportResult = async (req, res) => {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!exportService.isSupportedFormat(format)) {
+        return res.status(400).json({ success: false, error: "format must be one of csv, xlsx or ndjson" });
+    }
+
+    const stored = resultService.getResult(req.params.resultId, req.user.id);
+    if (!stored) {
+        return res.status(404).json({ success: false, error: "Result not found or expired" });
+    }
+
+    let writer = null;
+    const startWriter = (columns, columnTypes) => {
+        if (writer) return;
+        const { contentType, extension } = exportService.getFormat(format);
+        res.attachment(`result-${stored.id.slice(0, 8)}.${extension}`);
+        res.type(contentType);
+        // Whether the row cap cut the file short is only known at the end
+        res.set("Trailer", "X-Export-Truncated");
+        writer = exportService.createWriter(format, res);
+        writer.start(columns, columnTypes);
+    };
+
+    try {
+        const sql = buildSql(stored, sqlGuard.stripLimit(stored.sql));
+
+        // Rows go straight from Trino to the response; none are kept in memory
+        const results = await trinoService.executeQuery(sql, false, {
+            onColumns: startWriter,
+            onRows: rows => writer.write(rows),
+            maxRows: MAX_EXPORT_ROWS,
+            collect: false,
+            signal: req.abortSignal,
+            userId: req.user.id,
+            audit: { ...auditContext("export", stored), format },
+            timeoutMs: trinoService.getQueryTimeout("export"),
+        });
+        startWriter(stored.columns, []);
+        res.addTrailers({ "X-Export-Truncated": String(Boolean(results.truncated)) });
+        if (results.truncated) {
+            console.warn(`Export of result ${stored.id} stopped at ${MAX_EXPORT_ROWS} rows`);
+            await writer.end(`Export truncated at ${MAX_EXPORT_ROWS} rows; narrow the query to get the rest.`);
+        } else {
+            await writer.end();
+        }
+    } catch (error) {
+        console.error("Export error:", error);
+        // Once the file has started there is no way to report an error but to abort it
+        if (writer) return res.destroy(error);
+        if (error instanceof SqlGuardError) {
+            return res.status(400).json({ success: false, error: error.message, rejection: error.toJSON() });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
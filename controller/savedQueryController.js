@@ -0,0 +1,226 @@
+const savedQueryService = require("../services/savedQueryService");
+const resultService = require("../services/resultService");
+const chartService = require("../services/chartService");
+const { SqlGuardError } = require("../services/sqlGuard");
+
+function sendError(res, label, error) {
+    console.error(`${label} error:`, error);
+    if (error instanceof SqlGuardError) {
+        return res.status(error.code === "brand_not_allowed" ? 403 : 400).json({ success: false, error: error.message, rejection: error.toJSON() });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Runs one saved query and registers the result so it can be paged and exported like a chat result
+async function runQuery(query, parameters, req, audit = {}) {
+    const result = await savedQueryService.run(query, parameters, req.user, { signal: req.abortSignal, audit });
+    const resultId = resultService.register({
+        sql: result.sql,
+        brandScope: result.brandScope,
+        userId: req.user.id,
+        columns: result.columns,
+        rows: result.rows,
+        truncated: result.truncated,
+    });
+    return {
+        savedQueryId: query.id,
+        name: query.name,
+        resultId,
+        queryId: result.queryId,
+        parameters: result.parameters,
+        sql: result.sql,
+        executedSql: result.executedSql,
+        brandScope: result.brandScope ? { brand: result.brandScope.brand } : null,
+        columns: result.columns,
+        rows: result.rows,
+        rowCount: result.rows.length,
+        truncated: result.truncated || false,
+        fromCache: result.fromCache || false,
+        chart: chartService.recommend(result),
+    };
+}
+
+// Saves SQL given directly or taken from a chat result (`resultId`). A result that was
+// brand scoped gets a brand parameter defaulting to that brand unless one is defined.
+exports.createSavedQuery = async (req, res) => {
+    try {
+        const { name, description, resultId } = req.body || {};
+        let { sql, parameters = [] } = req.body || {};
+
+        if (resultId !== undefined) {
+            const stored = typeof resultId === "string" ? resultService.getResult(resultId, req.user.id) : null;
+            if (!stored) {
+                return res.status(404).json({ success: false, error: "Result not found or expired" });
+            }
+            sql = sql ?? stored.sql;
+            if (stored.brandScope && Array.isArray(parameters) && !parameters.some(p => p?.type === "brand")) {
+                parameters = [...parameters, { name: "brand", type: "brand", default: stored.brandScope.brand }];
+            }
+        }
+
+        const query = await savedQueryService.createQuery(req.user.id, { name, description, sql, parameters });
+        res.status(201).json({ success: true, savedQuery: query });
+    } catch (error) {
+        sendError(res, "Create saved query", error);
+    }
+};
+
+exports.listSavedQueries = async (req, res) => {
+    try {
+        const queries = await savedQueryService.listQueries(req.user.id);
+        res.json({ success: true, savedQueries: queries });
+    } catch (error) {
+        sendError(res, "List saved queries", error);
+    }
+};
+
+exports.getSavedQuery = async (req, res) => {
+    try {
+        const query = await savedQueryService.getQuery(req.params.id, req.user.id);
+        if (!query) {
+            return res.status(404).json({ success: false, error: "Saved query not found" });
+        }
+        res.json({ success: true, savedQuery: query });
+    } catch (error) {
+        sendError(res, "Get saved query", error);
+    }
+};
+
+exports.updateSavedQuery = async (req, res) => {
+    try {
+        const { name, description, sql, parameters } = req.body || {};
+        const query = await savedQueryService.updateQuery(req.params.id, { name, description, sql, parameters }, req.user.id);
+        if (!query) {
+            return res.status(404).json({ success: false, error: "Saved query not found" });
+        }
+        res.json({ success: true, savedQuery: query });
+    } catch (error) {
+        sendError(res, "Update saved query", error);
+    }
+};
+
+exports.deleteSavedQuery = async (req, res) => {
+    try {
+        const deleted = await savedQueryService.deleteQuery(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: "Saved query not found" });
+        }
+        res.json({ success: true, message: "Saved query deleted" });
+    } catch (error) {
+        sendError(res, "Delete saved query", error);
+    }
+};
+
+// Body: { parameters: { name: value } }. Missing values fall back to the saved defaults.
+exports.runSavedQuery = async (req, res) => {
+    try {
+        const query = await savedQueryService.getQuery(req.params.id, req.user.id);
+        if (!query) {
+            return res.status(404).json({ success: false, error: "Saved query not found" });
+        }
+        const result = await runQuery(query, req.body?.parameters || {}, req);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, "Run saved query", error);
+    }
+};
+
+exports.createDashboard = async (req, res) => {
+    try {
+        const { name, description, items, parameters } = req.body || {};
+        const dashboard = await savedQueryService.createDashboard(req.user.id, { name, description, items, parameters });
+        res.status(201).json({ success: true, dashboard });
+    } catch (error) {
+        sendError(res, "Create dashboard", error);
+    }
+};
+
+exports.listDashboards = async (req, res) => {
+    try {
+        const dashboards = await savedQueryService.listDashboards(req.user.id);
+        res.json({ success: true, dashboards });
+    } catch (error) {
+        sendError(res, "List dashboards", error);
+    }
+};
+
+exports.getDashboard = async (req, res) => {
+    try {
+        const dashboard = await savedQueryService.getDashboard(req.params.id, req.user.id);
+        if (!dashboard) {
+            return res.status(404).json({ success: false, error: "Dashboard not found" });
+        }
+        res.json({ success: true, dashboard });
+    } catch (error) {
+        sendError(res, "Get dashboard", error);
+    }
+};
+
+exports.updateDashboard = async (req, res) => {
+    try {
+        const { name, description, items, parameters } = req.body || {};
+        const dashboard = await savedQueryService.updateDashboard(req.params.id, { name, description, items, parameters }, req.user.id);
+        if (!dashboard) {
+            return res.status(404).json({ success: false, error: "Dashboard not found" });
+        }
+        res.json({ success: true, dashboard });
+    } catch (error) {
+        sendError(res, "Update dashboard", error);
+    }
+};
+
+exports.deleteDashboard = async (req, res) => {
+    try {
+        const deleted = await savedQueryService.deleteDashboard(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: "Dashboard not found" });
+        }
+        res.json({ success: true, message: "Dashboard deleted" });
+    } catch (error) {
+        sendError(res, "Delete dashboard", error);
+    }
+};
+
+// Runs every panel in order. Dashboard parameter values go to each query defining a
+// parameter of the same name; a panel's fixed values win. A failing panel reports its
+// error without failing the others.
+exports.runDashboard = async (req, res) => {
+    try {
+        const dashboard = await savedQueryService.getDashboard(req.params.id, req.user.id);
+        if (!dashboard) {
+            return res.status(404).json({ success: false, error: "Dashboard not found" });
+        }
+        const input = req.body?.parameters || {};
+        const { values } = savedQueryService.bind("", dashboard.parameters, input);
+
+        const panels = [];
+        for (const item of dashboard.items) {
+            const panel = { savedQueryId: item.savedQueryId, title: item.title };
+            panels.push(panel);
+            try {
+                const query = await savedQueryService.getQuery(item.savedQueryId, req.user.id);
+                if (!query) throw new Error("Saved query no longer exists");
+                const parameters = {};
+                for (const definition of query.parameters) {
+                    if (!Object.prototype.hasOwnProperty.call(values, definition.name)) continue;
+                    const value = values[definition.name];
+                    if (value !== undefined && value !== null) parameters[definition.name] = value;
+                }
+                const result = await runQuery(query, { ...parameters, ...item.parameters }, req, { dashboardId: dashboard.id });
+                Object.assign(panel, { success: true }, result);
+            } catch (error) {
+                if (req.abortSignal?.aborted) throw error;
+                console.warn(`Dashboard ${dashboard.id} panel ${item.savedQueryId} failed: ${error.message}`);
+                Object.assign(panel, {
+                    success: false,
+                    error: error.message,
+                    rejection: error instanceof SqlGuardError ? error.toJSON() : undefined,
+                });
+            }
+        }
+
+        res.json({ success: true, dashboardId: dashboard.id, name: dashboard.name, parameters: values, panels });
+    } catch (error) {
+        sendError(res, "Run dashboard", error);
+    }
+};
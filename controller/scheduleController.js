@@ -0,0 +1,123 @@
+const schedulerService = require("../services/schedulerService");
+const { ScheduleError } = schedulerService;
+const { SqlGuardError } = require("../services/sqlGuard");
+
+const SCHEDULE_FIELDS = ["name", "cron", "timezone", "enabled", "target", "conditions", "deliver", "webhookUrl"];
+
+function sendError(res, label, error) {
+    console.error(`${label} error:`, error);
+    if (error instanceof ScheduleError) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof SqlGuardError) {
+        return res.status(400).json({ success: false, error: error.message, rejection: error.toJSON() });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+function pickFields(body) {
+    const fields = {};
+    for (const field of SCHEDULE_FIELDS) {
+        if (body && body[field] !== undefined) fields[field] = body[field];
+    }
+    return fields;
+}
+
+exports.listSchedules = async (req, res) => {
+    try {
+        const schedules = await schedulerService.listSchedules(req.user.id);
+        res.json({ success: true, enabled: schedulerService.enabled, schedules });
+    } catch (error) {
+        sendError(res, "List schedules", error);
+    }
+};
+
+// Body: { name, cron, timezone, enabled, target, conditions, deliver, webhookUrl }.
+// target is { type: "saved", savedQueryId, parameters } or { type: "question", question, brand };
+// conditions are [{ column, operator, value, match }].
+exports.createSchedule = async (req, res) => {
+    try {
+        const schedule = await schedulerService.createSchedule(req.user.id, pickFields(req.body));
+        res.status(201).json({ success: true, schedule });
+    } catch (error) {
+        sendError(res, "Create schedule", error);
+    }
+};
+
+exports.getSchedule = async (req, res) => {
+    try {
+        const schedule = await schedulerService.getSchedule(req.params.id, req.user.id);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: "Schedule not found" });
+        }
+        res.json({ success: true, schedule });
+    } catch (error) {
+        sendError(res, "Get schedule", error);
+    }
+};
+
+exports.updateSchedule = async (req, res) => {
+    try {
+        const schedule = await schedulerService.updateSchedule(req.params.id, pickFields(req.body), req.user.id);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: "Schedule not found" });
+        }
+        res.json({ success: true, schedule });
+    } catch (error) {
+        sendError(res, "Update schedule", error);
+    }
+};
+
+exports.deleteSchedule = async (req, res) => {
+    try {
+        const deleted = await schedulerService.deleteSchedule(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: "Schedule not found" });
+        }
+        res.json({ success: true, message: "Schedule deleted" });
+    } catch (error) {
+        sendError(res, "Delete schedule", error);
+    }
+};
+
+// Runs the schedule now (query, conditions and webhook) and returns the run record
+exports.runSchedule = async (req, res) => {
+    try {
+        const run = await schedulerService.runNow(req.params.id, req.user.id);
+        if (!run) {
+            return res.status(404).json({ success: false, error: "Schedule not found" });
+        }
+        res.json({ success: true, run });
+    } catch (error) {
+        sendError(res, "Run schedule", error);
+    }
+};
+
+// Newest runs first
+exports.getRuns = async (req, res) => {
+    try {
+        if (!(await schedulerService.getSchedule(req.params.id, req.user.id))) {
+            return res.status(404).json({ success: false, error: "Schedule not found" });
+        }
+        const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 50));
+        const { runs } = await schedulerService.getHistory(req.params.id);
+        res.json({ success: true, runs: runs.slice(0, limit) });
+    } catch (error) {
+        sendError(res, "Schedule runs", error);
+    }
+};
+
+exports.getLastResult = async (req, res) => {
+    try {
+        if (!(await schedulerService.getSchedule(req.params.id, req.user.id))) {
+            return res.status(404).json({ success: false, error: "Schedule not found" });
+        }
+        const { lastResult } = await schedulerService.getHistory(req.params.id);
+        if (!lastResult) {
+            return res.status(404).json({ success: false, error: "This schedule has no result yet" });
+        }
+        res.json({ success: true, result: lastResult });
+    } catch (error) {
+        sendError(res, "Schedule last result", error);
+    }
+};
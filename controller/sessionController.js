@@ -0,0 +1,56 @@
+const conversationService = require("../services/conversationService");
+
+exports.listSessions = async (req, res) => {
+    try {
+        const sessions = await conversationService.listSessions(req.user.id);
+        res.json({ success: true, sessions });
+    } catch (error) {
+        console.error("List sessions error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+exports.getSession = async (req, res) => {
+    try {
+        const session = await conversationService.getSession(req.params.sessionId, req.user.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: "Session not found" });
+        }
+        const { id, title, createdAt, updatedAt, transcript } = session;
+        res.json({ success: true, session: { id, title, createdAt, updatedAt, transcript } });
+    } catch (error) {
+        console.error("Get session error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+exports.renameSession = async (req, res) => {
+    try {
+        const { title } = req.body;
+        if (!title || typeof title !== "string") {
+            return res.status(400).json({ success: false, error: "Title is required" });
+        }
+
+        const session = await conversationService.renameSession(req.params.sessionId, title.trim().slice(0, 200), req.user.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: "Session not found" });
+        }
+        res.json({ success: true, session: { id: session.id, title: session.title, updatedAt: session.updatedAt } });
+    } catch (error) {
+        console.error("Rename session error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+exports.deleteSession = async (req, res) => {
+    try {
+        const deleted = await conversationService.deleteSession(req.params.sessionId, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: "Session not found" });
+        }
+        res.json({ success: true, message: "Session deleted" });
+    } catch (error) {
+        console.error("Delete session error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
@@ -3,18 +3,24 @@ const express = require("express");
 const cors = require("cors");
 
 const chatRoutes = require("./routes/chatRoutes");
+const abortOnDisconnect = require("./middleware/abortOnDisconnect");
+const { authenticate } = require("./middleware/authenticate");
 const trinoService = require("./services/trinoService");
 const openaiService = require("./services/openaiService");
+const brandScopeService = require("./services/brandScopeService");
+const schedulerService = require("./services/schedulerService");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+// CORS_ORIGINS restricts browser access to the listed origins (comma-separated)
+const corsOrigins = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : undefined));
 app.use(express.json());
 
 // Routes
-app.use("/api", chatRoutes);
+app.use("/api", authenticate, abortOnDisconnect, chatRoutes);
 
 // Health check
 app.get("/health", (req, res) => {
@@ -30,6 +36,9 @@ async function startServer() {
         openaiService.initialize(trinoService);
         console.log("✅ OpenAI service initialized");
 
+        brandScopeService.initialize(trinoService);
+        console.log("✅ Brand scope service initialized");
+
         // Try to load schema from Trino (but don't fail if unavailable)
         console.log("📊 Attempting to load database schema...");
         try {
@@ -41,15 +50,36 @@ async function startServer() {
             console.warn("   Schema will be loaded on first request when Trino becomes available.");
         }
 
+        if (schedulerService.start()) {
+            console.log("⏰ Scheduler started");
+        }
+
         // Start server
         app.listen(PORT, () => {
             console.log(`\n🎉 Server running on http://localhost:${PORT}`);
             console.log(`📖 API Endpoints:`);
             console.log(`   POST /api/chat          - Send a chat message`);
+            console.log(`   POST /api/chat/stream   - Send a chat message (Server-Sent Events)`);
+            console.log(`   POST /api/forecast/backtest - Backtest forecasts for a SQL series`);
+            console.log(`   GET  /api/results/:id?page= - Page through a query result`);
+            console.log(`   GET  /api/results/:id/export?format=csv|xlsx|ndjson - Export a query result`);
+            console.log(`   POST /api/queries/:id/cancel - Cancel a running Trino query`);
+            console.log(`   POST /api/saved         - Save a query (SQL or a chat result) with parameters`);
+            console.log(`   POST /api/saved/:id/run - Run a saved query with parameter values`);
+            console.log(`   POST /api/dashboards/:id/run - Run every saved query on a dashboard`);
+            console.log(`   POST /api/schedules     - Schedule a report or threshold alert (webhook delivery)`);
+            console.log(`   GET  /api/schedules/:id/runs - Run history of a schedule`);
             console.log(`   GET  /api/tables        - Get list of tables`);
+            console.log(`   GET  /api/admin/tables  - List table access (admin)`);
+            console.log(`   PATCH /api/admin/tables/:table - Enable/disable or describe a table (admin)`);
+            console.log(`   GET  /api/admin/audit   - Search the query audit log (admin)`);
+            console.log(`   GET  /api/admin/connections - Trino connections and pool health (admin)`);
             console.log(`   GET  /api/schema/:table - Get table schema`);
             console.log(`   POST /api/refresh-schema - Refresh schema cache`);
+            console.log(`   POST /api/cache/clear?table= - Clear cached queries, optionally for one table (admin)`);
             console.log(`   POST /api/clear-history - Clear chat history`);
+            console.log(`   GET  /api/sessions      - List chat sessions`);
+            console.log(`   GET  /api/sessions/:id  - Get a session transcript`);
             console.log(`   GET  /health            - Health check\n`);
         });
     } catch (error) {
@@ -0,0 +1,10 @@
+// Gives each request an AbortSignal (`req.abortSignal`) that fires when the client
+// disconnects before the response is finished, so queries started for it can be cancelled
+module.exports = function abortOnDisconnect(req, res, next) {
+    const controller = new AbortController();
+    req.abortSignal = controller.signal;
+    res.on("close", () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    next();
+};
@@ -0,0 +1,23 @@
+const authService = require("../services/authService");
+const { AuthError } = authService;
+
+// Sets `req.user` ({ id, name, role, brands }) or rejects the request with 401
+function authenticate(req, res, next) {
+    try {
+        req.user = authService.authenticate(req.headers);
+        next();
+    } catch (error) {
+        if (!(error instanceof AuthError)) return next(error);
+        res.set("WWW-Authenticate", 'Bearer realm="api"');
+        res.status(error.status).json({ success: false, error: error.message });
+    }
+}
+
+function requireAdmin(req, res, next) {
+    if (req.user?.role !== "admin") {
+        return res.status(403).json({ success: false, error: "Admin access required" });
+    }
+    next();
+}
+
+module.exports = { authenticate, requireAdmin };
@@ -1,21 +1,76 @@
 const express = require("express");
 const router = express.Router();
 const chatController = require("../controller/chatController");
+const sessionController = require("../controller/sessionController");
+const forecastController = require("../controller/forecastController");
+const resultController = require("../controller/resultController");
+const queryController = require("../controller/queryController");
+const adminController = require("../controller/adminController");
+const savedQueryController = require("../controller/savedQueryController");
+const scheduleController = require("../controller/scheduleController");
+const { requireAdmin } = require("../middleware/authenticate");
 
 // Chat endpoint
 router.post("/chat", chatController.chat);
+router.post("/chat/stream", chatController.chatStream);
+
+// Forecasting
+router.post("/forecast/backtest", forecastController.backtest);
+
+// Query results
+router.get("/results/:resultId", resultController.getResultPage);
+router.get("/results/:resultId/export", resultController.exportResult);
+
+// Running Trino queries
+router.get("/queries", queryController.listQueries);
+router.post("/queries/:queryId/cancel", queryController.cancelQuery);
+
+// Saved queries and dashboards
+router.get("/saved", savedQueryController.listSavedQueries);
+router.post("/saved", savedQueryController.createSavedQuery);
+router.get("/saved/:id", savedQueryController.getSavedQuery);
+router.patch("/saved/:id", savedQueryController.updateSavedQuery);
+router.delete("/saved/:id", savedQueryController.deleteSavedQuery);
+router.post("/saved/:id/run", savedQueryController.runSavedQuery);
+router.get("/dashboards", savedQueryController.listDashboards);
+router.post("/dashboards", savedQueryController.createDashboard);
+router.get("/dashboards/:id", savedQueryController.getDashboard);
+router.patch("/dashboards/:id", savedQueryController.updateDashboard);
+router.delete("/dashboards/:id", savedQueryController.deleteDashboard);
+router.post("/dashboards/:id/run", savedQueryController.runDashboard);
+
+// Scheduled reports and alerts
+router.get("/schedules", scheduleController.listSchedules);
+router.post("/schedules", scheduleController.createSchedule);
+router.get("/schedules/:id", scheduleController.getSchedule);
+router.patch("/schedules/:id", scheduleController.updateSchedule);
+router.delete("/schedules/:id", scheduleController.deleteSchedule);
+router.post("/schedules/:id/run", scheduleController.runSchedule);
+router.get("/schedules/:id/runs", scheduleController.getRuns);
+router.get("/schedules/:id/last-result", scheduleController.getLastResult);
 
 // Tables and schema
 router.get("/tables", chatController.getTables);
 router.get("/brands", chatController.getBrands);
 router.get("/schema/:tableName", chatController.getTableSchema);
 
-// Cache management
-router.post("/refresh-schema", chatController.refreshSchema);
-router.get("/cache/stats", chatController.getCacheStats);
-router.post("/cache/clear", chatController.clearCache);
+// Schema and cache management (admin only)
+router.post("/refresh-schema", requireAdmin, chatController.refreshSchema);
+router.get("/cache/stats", requireAdmin, chatController.getCacheStats);
+router.post("/cache/clear", requireAdmin, chatController.clearCache);
+
+// Administration: table access and query audit log
+router.get("/admin/tables", requireAdmin, adminController.listTables);
+router.patch("/admin/tables/:tableName", requireAdmin, adminController.updateTable);
+router.get("/admin/table-access/history", requireAdmin, adminController.getTableAccessHistory);
+router.get("/admin/audit", requireAdmin, adminController.searchAuditLog);
+router.get("/admin/connections", requireAdmin, adminController.getConnections);
 
 // Conversation management
 router.post("/clear-history", chatController.clearHistory);
+router.get("/sessions", sessionController.listSessions);
+router.get("/sessions/:sessionId", sessionController.getSession);
+router.patch("/sessions/:sessionId", sessionController.renameSession);
+router.delete("/sessions/:sessionId", sessionController.deleteSession);
 
 module.exports = router;
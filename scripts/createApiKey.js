@@ -0,0 +1,12 @@
+/**
+ * Generates a new API key and the sha256 digest to store in users.json
+ * Run with: node scripts/createApiKey.js
+ */
+
+const crypto = require("crypto");
+const { hashApiKey } = require("../services/authService");
+
+const apiKey = crypto.randomBytes(32).toString("base64url");
+
+console.log(`API key (give this to the user, it is not stored): ${apiKey}`);
+console.log(`Digest (add to the user's "apiKeys" in users.json):  ${hashApiKey(apiKey)}`);
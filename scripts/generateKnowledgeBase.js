@@ -1,24 +1,49 @@
 /**
  * Script to gather all schema information from Trino and update the knowledgebase.json
- * Run with: node scripts/generateKnowledgeBase.js
+ * Run with: node scripts/generateKnowledgeBase.js [--merge] [--dry-run]
+ *
+ * --merge    Apply live schema changes (added/removed tables and columns, types, sampled
+ *            values) to the existing file, keeping hand-written descriptions, examples,
+ *            commonPatterns and any other curated fields.
+ * --dry-run  Print the diff report without writing the file.
+ *
+ * Every column is profiled (null ratio, approximate distinct count, min/max for numbers
+ * and dates, top values for low-cardinality strings). Configure with:
+ * KB_PROFILE=false                  skip profiling
+ * KB_PROFILE_TOP_VALUES=20          top values kept per low-cardinality column
+ * KB_PROFILE_MAX_DISTINCT=50        columns with more distinct values get no top values
+ * KB_PROFILE_SAMPLE_PERCENT=        profile a TABLESAMPLE BERNOULLI sample instead of a full scan
+ * KB_PROFILE_EXCLUDE=               comma-separated column or table.column names to skip
  */
 
 require("dotenv").config();
-const { Trino, BasicAuth } = require("trino-client");
 const fs = require("fs");
 const path = require("path");
+const trinoConnectionService = require("../services/trinoConnectionService");
 
-const TRINO_SERVER = process.env.TRINO_SERVER;
-const TRINO_USER = process.env.TRINO_USER;
 const TRINO_CATALOGS = process.env.TRINO_CATALOGS || "lakehouse.ap_south1_gold";
+const OUTPUT_PATH = path.join(__dirname, "..", "knowledgebase.json");
 
+const MERGE = process.argv.includes("--merge");
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const PROFILE = (process.env.KB_PROFILE || "true").toLowerCase() !== "false";
+const PROFILE_TOP_VALUES = parseInt(process.env.KB_PROFILE_TOP_VALUES, 10) || 20;
+const PROFILE_MAX_DISTINCT = parseInt(process.env.KB_PROFILE_MAX_DISTINCT, 10) || 50;
+const PROFILE_SAMPLE_PERCENT = parseFloat(process.env.KB_PROFILE_SAMPLE_PERCENT) || null;
+const PROFILE_EXCLUDE = new Set((process.env.KB_PROFILE_EXCLUDE || "")
+    .split(",").map(name => name.trim().toLowerCase()).filter(Boolean));
+
+// Columns whose distinct values are sampled when profiling gives no top values
+const KNOWN_VALUE_COLUMNS = ["category", "sub_category", "brand_name", "platform_name"];
+
+// Fields that always come from the live schema; everything else is curated
+const GENERATED_COLUMN_FIELDS = ["type", "knownValues", "profile"];
+const GENERATED_TABLE_FIELDS = ["profile"];
+
+// Same connection config (trinoConnections.json) and credentials as the server
 async function getClient(catalog, schema) {
-    return Trino.create({
-        server: TRINO_SERVER,
-        catalog: catalog,
-        schema: schema,
-        auth: new BasicAuth(TRINO_USER),
-    });
+    return trinoConnectionService.getClient(catalog, schema);
 }
 
 async function executeQuery(client, sql) {
@@ -64,8 +89,10 @@ async function getSampleValues(client, catalog, schema, table, column, limit = 1
     }
 }
 
-async function generateKnowledgeBase() {
-    console.log("🚀 Starting knowledge base generation from Trino...\n");
+// Builds a fresh knowledge base from Trino. `failed` lists the catalogs and tables that
+// could not be read, so a merge keeps their existing entries instead of dropping them.
+async function buildFromTrino() {
+    const failed = { catalogs: [], tables: [] };
 
     const catalogSchemas = TRINO_CATALOGS.split(",").map((cs) => {
         const [catalog, schema] = cs.trim().split(".");
@@ -144,25 +171,38 @@ async function generateKnowledgeBase() {
                         columns: {}
                     };
 
+                    let profile = null;
+                    if (PROFILE) {
+                        try {
+                            profile = await profileTable(client, catalog, schema, table, columns);
+                            tableInfo.profile = profile.table;
+                        } catch (profileError) {
+                            console.warn(`  Could not profile ${table}: ${profileError.message}`);
+                        }
+                    }
+
                     for (const col of columns) {
                         tableInfo.columns[col.column] = {
                             type: col.type,
                             description: col.comment || `Column ${col.column}`
                         };
+                        const columnProfile = profile?.columns[col.column];
+                        if (columnProfile) tableInfo.columns[col.column].profile = columnProfile;
 
-                        // Get sample values for important columns
-                        if (["category", "sub_category", "brand_name", "platform_name"].includes(col.column.toLowerCase())) {
-                            const samples = await getSampleValues(client, catalog, schema, table, col.column, 20);
-                            if (samples.length > 0) {
-                                tableInfo.columns[col.column].knownValues = samples;
-
-                                // Populate entity recognition
-                                if (col.column.toLowerCase() === "category") {
-                                    knowledgeBase.entityRecognition.categories.values = [...new Set([...knowledgeBase.entityRecognition.categories.values, ...samples])];
-                                }
-                                if (col.column.toLowerCase() === "brand_name") {
-                                    knowledgeBase.entityRecognition.brands.examples = [...new Set([...knowledgeBase.entityRecognition.brands.examples, ...samples])].slice(0, 10);
-                                }
+                        // Known values: the profiled top values, else a sample for important columns
+                        let samples = columnProfile?.topValues?.map(v => v.value);
+                        if (!samples && KNOWN_VALUE_COLUMNS.includes(col.column.toLowerCase())) {
+                            samples = await getSampleValues(client, catalog, schema, table, col.column, 20);
+                        }
+                        if (samples?.length > 0) {
+                            tableInfo.columns[col.column].knownValues = samples;
+
+                            // Populate entity recognition
+                            if (col.column.toLowerCase() === "category") {
+                                knowledgeBase.entityRecognition.categories.values = [...new Set([...knowledgeBase.entityRecognition.categories.values, ...samples])];
+                            }
+                            if (col.column.toLowerCase() === "brand_name") {
+                                knowledgeBase.entityRecognition.brands.examples = [...new Set([...knowledgeBase.entityRecognition.brands.examples, ...samples])].slice(0, 10);
                             }
                         }
 
@@ -179,19 +219,260 @@ async function generateKnowledgeBase() {
                     knowledgeBase.catalogs[catalogKey].tables[table] = tableInfo;
                 } catch (tableError) {
                     console.error(`  ❌ Error processing table ${table}: ${tableError.message}`);
+                    failed.tables.push(`${catalogKey}.${table}`);
                 }
             }
         } catch (catalogError) {
             console.error(`❌ Error processing catalog ${catalog}.${schema}: ${catalogError.message}`);
+            failed.catalogs.push(`${catalog}.${schema}`);
+        }
+    }
+
+    return { knowledgeBase, failed };
+}
+
+// Placeholders written by the generator; real descriptions replace them
+function isPlaceholder(description, name) {
+    return !description || description === `Column ${name}` || description === `Table ${name}`;
+}
+
+function mergeColumn(existing, generated, columnName) {
+    if (!existing) return generated;
+    const merged = { ...generated, ...existing };
+    for (const field of GENERATED_COLUMN_FIELDS) {
+        if (generated[field] !== undefined) merged[field] = generated[field];
+    }
+    // A Trino column comment beats the placeholder, never a hand-written description
+    if (isPlaceholder(existing.description, columnName)) merged.description = generated.description;
+    return merged;
+}
+
+function mergeTable(existing, generated, tableName) {
+    if (!existing) return generated;
+    const merged = { ...existing, columns: {} };
+    for (const field of GENERATED_TABLE_FIELDS) {
+        if (generated[field] !== undefined) merged[field] = generated[field];
+    }
+    if (isPlaceholder(existing.description, tableName)) merged.description = generated.description;
+    // Live column order, curated column fields
+    for (const [columnName, column] of Object.entries(generated.columns)) {
+        merged.columns[columnName] = mergeColumn(existing.columns?.[columnName], column, columnName);
+    }
+    return merged;
+}
+
+function mergeKnowledgeBase(existing, generated, failed) {
+    const merged = { ...existing, lastUpdated: generated.lastUpdated, catalogs: { ...existing.catalogs } };
+
+    for (const [catalogKey, catalog] of Object.entries(generated.catalogs)) {
+        const existingCatalog = existing.catalogs?.[catalogKey];
+        const tables = {};
+        for (const [tableName, table] of Object.entries(catalog.tables)) {
+            tables[tableName] = mergeTable(existingCatalog?.tables?.[tableName], table, tableName);
+        }
+        // A table that failed to load is not gone from the live schema
+        for (const [tableName, table] of Object.entries(existingCatalog?.tables || {})) {
+            if (failed.tables.includes(`${catalogKey}.${tableName}`)) tables[tableName] = table;
+        }
+        merged.catalogs[catalogKey] = { ...existingCatalog, description: existingCatalog?.description || catalog.description, tables };
+    }
+
+    // Curated patterns win; generated defaults only fill in missing ones
+    merged.commonPatterns = { ...generated.commonPatterns, ...existing.commonPatterns };
+
+    // Hand-picked examples are kept; empty lists are filled from the sampled values
+    const entities = { ...generated.entityRecognition };
+    for (const [key, entity] of Object.entries(existing.entityRecognition || {})) {
+        const sampled = generated.entityRecognition[key] || {};
+        entities[key] = { ...sampled, ...entity };
+        for (const list of ["examples", "values"]) {
+            if (!(entity[list]?.length > 0) && sampled[list]) entities[key][list] = sampled[list];
+        }
+    }
+    merged.entityRecognition = entities;
+    merged.typeCasting = existing.typeCasting || generated.typeCasting;
+    return merged;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Lines describing how `after` differs from `before`
+function diffKnowledgeBase(before, after) {
+    const lines = [];
+    let profileChanges = 0;
+    const catalogKeys = new Set([...Object.keys(before?.catalogs || {}), ...Object.keys(after.catalogs || {})]);
+
+    for (const catalogKey of catalogKeys) {
+        const beforeTables = before?.catalogs?.[catalogKey]?.tables || {};
+        const afterTables = after.catalogs?.[catalogKey]?.tables || {};
+
+        for (const tableName of new Set([...Object.keys(beforeTables), ...Object.keys(afterTables)])) {
+            const fullName = `${catalogKey}.${tableName}`;
+            const oldTable = beforeTables[tableName];
+            const newTable = afterTables[tableName];
+            if (!oldTable) {
+                lines.push(`+ table ${fullName} (${Object.keys(newTable.columns || {}).length} columns)`);
+                continue;
+            }
+            if (!newTable) {
+                lines.push(`- table ${fullName}`);
+                continue;
+            }
+            if (oldTable.description !== newTable.description) {
+                lines.push(`~ table ${fullName} description: "${oldTable.description}" -> "${newTable.description}"`);
+            }
+
+            const oldColumns = oldTable.columns || {};
+            const newColumns = newTable.columns || {};
+            for (const columnName of new Set([...Object.keys(oldColumns), ...Object.keys(newColumns)])) {
+                const oldColumn = oldColumns[columnName];
+                const newColumn = newColumns[columnName];
+                const name = `${fullName}.${columnName}`;
+                if (!oldColumn) {
+                    lines.push(`+ column ${name} (${newColumn.type})`);
+                } else if (!newColumn) {
+                    lines.push(`- column ${name}`);
+                } else {
+                    if (oldColumn.type !== newColumn.type) lines.push(`~ column ${name} type: ${oldColumn.type} -> ${newColumn.type}`);
+                    if (oldColumn.description !== newColumn.description) {
+                        lines.push(`~ column ${name} description: "${oldColumn.description}" -> "${newColumn.description}"`);
+                    }
+                    for (const field of ["knownValues", "examples"]) {
+                        if (!sameValue(oldColumn[field], newColumn[field])) lines.push(`~ column ${name} ${field} changed`);
+                    }
+                    // Date coverage is worth a line of its own; other statistics are only counted
+                    const [oldRange, newRange] = [oldColumn, newColumn].map(c => c.profile?.max !== undefined ? `${c.profile.min}..${c.profile.max}` : null);
+                    if (/^(date|time)/i.test(newColumn.type) && oldRange !== newRange) lines.push(`~ column ${name} range: ${oldRange} -> ${newRange}`);
+                    else if (!sameValue(oldColumn.profile, newColumn.profile)) profileChanges++;
+                }
+            }
+        }
+    }
+
+    for (const key of new Set([...Object.keys(before?.commonPatterns || {}), ...Object.keys(after.commonPatterns || {})])) {
+        const oldPattern = before?.commonPatterns?.[key];
+        const newPattern = after.commonPatterns?.[key];
+        if (!oldPattern) lines.push(`+ pattern ${key}`);
+        else if (!newPattern) lines.push(`- pattern ${key}`);
+        else if (!sameValue(oldPattern, newPattern)) lines.push(`~ pattern ${key} changed`);
+    }
+    if (!sameValue(before?.entityRecognition, after.entityRecognition)) lines.push("~ entityRecognition changed");
+    if (profileChanges > 0) lines.push(`~ ${profileChanges} other column profile(s) refreshed`);
+    return lines;
+}
+
+function readExisting() {
+    try {
+        return JSON.parse(fs.readFileSync(OUTPUT_PATH, "utf-8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") throw new Error(`Could not read ${OUTPUT_PATH}: ${error.message}`);
+        return null;
+    }
+}
+
+function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+// Which statistics a column type supports; other types (arrays, maps, json...) only get a null ratio
+function profileKind(type) {
+    const t = type.toLowerCase();
+    if (/^(tinyint|smallint|integer|bigint|real|double|decimal)/.test(t)) return "range";
+    if (/^(date|time)/.test(t)) return "range";
+    if (/^(varchar|char)/.test(t) || t === "boolean") return "values";
+    return null;
+}
+
+// Dates, timestamps and decimals arrive as strings; keep numbers as numbers
+function toJsonValue(value) {
+    return value === null || typeof value === "number" ? value : String(value);
+}
+
+// One aggregate query per table, plus one top-values query per low-cardinality column.
+// Returns { table: { rowCount, sampled, profiledAt }, columns: { name: profile } }.
+async function profileTable(client, catalog, schema, table, columns) {
+    const source = `${catalog}.${schema}.${table}` +
+        (PROFILE_SAMPLE_PERCENT ? ` TABLESAMPLE BERNOULLI (${PROFILE_SAMPLE_PERCENT})` : "");
+    const profiled = columns.filter(col =>
+        !PROFILE_EXCLUDE.has(col.column.toLowerCase()) && !PROFILE_EXCLUDE.has(`${table}.${col.column}`.toLowerCase()));
+
+    const expressions = ["count(*)"];
+    const layout = profiled.map((col) => {
+        const column = quoteIdentifier(col.column);
+        const kind = profileKind(col.type);
+        const start = expressions.length;
+        expressions.push(`count(${column})`);
+        if (kind) expressions.push(`approx_distinct(${column})`);
+        if (kind === "range") expressions.push(`min(${column})`, `max(${column})`);
+        return { col, kind, start };
+    });
+
+    const result = await executeQuery(client, `SELECT ${expressions.join(", ")} FROM ${source}`);
+    const row = result.rows[0];
+    const rowCount = row[0];
+    const profiles = {};
+
+    for (const { col, kind, start } of layout) {
+        const profile = { nullRatio: rowCount > 0 ? Math.round((1 - row[start] / rowCount) * 10000) / 10000 : null };
+        if (kind) profile.approxDistinct = row[start + 1];
+        if (kind === "range") {
+            profile.min = toJsonValue(row[start + 2]);
+            profile.max = toJsonValue(row[start + 3]);
+        }
+        if (kind === "values" && profile.approxDistinct > 0 && profile.approxDistinct <= PROFILE_MAX_DISTINCT) {
+            try {
+                const column = quoteIdentifier(col.column);
+                const top = await executeQuery(client,
+                    `SELECT ${column}, count(*) FROM ${source} WHERE ${column} IS NOT NULL GROUP BY 1 ORDER BY 2 DESC LIMIT ${PROFILE_TOP_VALUES}`);
+                profile.topValues = top.rows.map(([value, count]) => ({ value: toJsonValue(value), count }));
+            } catch (error) {
+                console.warn(`  Could not get top values for ${col.column}: ${error.message}`);
+            }
         }
+        profiles[col.column] = profile;
+    }
+
+    return {
+        table: {
+            // Scaled up from the sample when sampling
+            rowCount: PROFILE_SAMPLE_PERCENT ? Math.round(rowCount * 100 / PROFILE_SAMPLE_PERCENT) : rowCount,
+            sampled: PROFILE_SAMPLE_PERCENT,
+            profiledAt: new Date().toISOString().split("T")[0],
+        },
+        columns: profiles,
+    };
+}
+
+async function generateKnowledgeBase() {
+    console.log(`🚀 Starting knowledge base generation from Trino${MERGE ? " (merge)" : ""}${DRY_RUN ? " (dry run)" : ""}...\n`);
+
+    const existing = readExisting();
+    const { knowledgeBase: generated, failed } = await buildFromTrino();
+    const knowledgeBase = MERGE && existing ? mergeKnowledgeBase(existing, generated, failed) : generated;
+
+    const changes = diffKnowledgeBase(existing, knowledgeBase);
+    console.log(`\n📝 ${changes.length} change(s) to ${path.basename(OUTPUT_PATH)}:`);
+    changes.forEach(line => console.log(`  ${line}`));
+    if (MERGE && existing) {
+        const untouched = Object.keys(existing.catalogs || {}).filter(key => !generated.catalogs[key]);
+        if (untouched.length > 0) console.log(`  (kept as-is, not in TRINO_CATALOGS: ${untouched.join(", ")})`);
+    }
+    if (failed.catalogs.length > 0 || failed.tables.length > 0) {
+        console.warn(`⚠️  Could not read: ${[...failed.catalogs, ...failed.tables].join(", ")}${MERGE ? " (existing entries kept)" : ""}`);
+    }
+
+    if (DRY_RUN) {
+        console.log("\n🔍 Dry run: knowledgebase.json was not written");
+        return;
     }
 
     // Write the knowledge base to file
-    const outputPath = path.join(__dirname, "..", "knowledgebase.json");
-    fs.writeFileSync(outputPath, JSON.stringify(knowledgeBase, null, 2));
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(knowledgeBase, null, 2));
 
     console.log(`\n✅ Knowledge base generated successfully!`);
-    console.log(`📁 Output: ${outputPath}`);
+    console.log(`📁 Output: ${OUTPUT_PATH}`);
     console.log(`📊 Total catalogs: ${Object.keys(knowledgeBase.catalogs).length}`);
 
     let totalTables = 0;
@@ -0,0 +1,59 @@
+/**
+ * Local webhook receiver for trying out scheduled reports and alerts
+ * Run with: node scripts/webhookReceiver.js [port]
+ *
+ * Point a schedule's webhookUrl (or SCHEDULER_WEBHOOK_URL) at http://localhost:<port>/ and
+ * trigger it with POST /api/schedules/:id/run. Local addresses are refused unless listed, so
+ * run the server with SCHEDULER_WEBHOOK_HOSTS=localhost. Each payload is printed; with
+ * SCHEDULER_WEBHOOK_SECRET set, the X-Signature-256 header is checked as well.
+ * WEBHOOK_FAIL_STATUS=503 answers every request with that status to exercise retries.
+ */
+
+require("dotenv").config();
+const crypto = require("crypto");
+const http = require("http");
+
+const port = parseInt(process.argv[2], 10) || 4000;
+const secret = process.env.SCHEDULER_WEBHOOK_SECRET || null;
+const failStatus = parseInt(process.env.WEBHOOK_FAIL_STATUS, 10) || null;
+
+function checkSignature(body, header) {
+    if (!secret) return "not configured";
+    const expected = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+    const valid = header && header.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+    return valid ? "valid" : "INVALID";
+}
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+        const body = Buffer.concat(chunks).toString("utf-8");
+        console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+        console.log(`Schedule: ${req.headers["x-schedule-id"]}  Run: ${req.headers["x-run-id"]}`);
+        console.log(`Signature: ${checkSignature(body, req.headers["x-signature-256"])}`);
+
+        try {
+            const payload = JSON.parse(body);
+            console.log(`Type: ${payload.type}  Schedule: ${payload.schedule?.name}  Status: ${payload.run?.status}`);
+            if (payload.run?.error) console.log(`Error: ${payload.run.error}`);
+            for (const condition of payload.alert?.conditions || []) {
+                const mark = condition.triggered ? "TRIGGERED" : "ok";
+                console.log(`  ${condition.column} ${condition.operator} ${condition.value}: ${mark} (${condition.matchingRows} rows)`);
+            }
+            if (payload.result) {
+                console.log(`Result: ${payload.result.rowCount} rows${payload.result.truncated ? " (truncated)" : ""}`);
+                console.log(`  ${payload.result.columns.join(" | ")}`);
+                for (const row of payload.result.rows.slice(0, 10)) console.log(`  ${row.join(" | ")}`);
+            }
+        } catch (error) {
+            console.log(`Body is not JSON: ${body.slice(0, 500)}`);
+        }
+
+        res.writeHead(failStatus || 200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ received: !failStatus }));
+    });
+}).listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const FILE_PATTERN = /^queries-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Append-only query audit log: one JSON line per executed query, one file per UTC day
+class AuditService {
+    constructor() {
+        this.directory = process.env.AUDIT_LOG_DIR || path.join(__dirname, "..", "data", "audit");
+        this.writeQueue = Promise.resolve();
+    }
+
+    filePath(day) {
+        return path.join(this.directory, `queries-${day}.jsonl`);
+    }
+
+    // Never throws: a failing audit write is logged and must not fail the query itself
+    record(entry) {
+        const line = JSON.stringify({ id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry }) + "\n";
+        const day = new Date().toISOString().slice(0, 10);
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(this.directory, { recursive: true });
+                await fs.promises.appendFile(this.filePath(day), line);
+            })
+            .catch(error => console.error("Audit log write failed:", error.message));
+        return this.writeQueue;
+    }
+
+    matches(entry, filters) {
+        if (filters.from && entry.timestamp < filters.from) return false;
+        if (filters.to && entry.timestamp > filters.to) return false;
+        if (filters.user && entry.userId !== filters.user) return false;
+        if (filters.status && entry.status !== filters.status) return false;
+        if (filters.source && entry.source !== filters.source) return false;
+        if (filters.brand && String(entry.brand || "").toLowerCase() !== filters.brand.toLowerCase()) return false;
+        if (filters.table) {
+            const table = filters.table.toLowerCase();
+            if (!(entry.tables || []).some(name => name === table || name.endsWith(`.${table}`))) return false;
+        }
+        return true;
+    }
+
+    // Filters: from/to (ISO timestamps), user, table (full or bare name), brand, status, source.
+    // Returns the newest matching entries first.
+    async search(filters = {}, limit = 100) {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+
+        const fromDay = filters.from?.slice(0, 10);
+        const toDay = filters.to?.slice(0, 10);
+        const days = files
+            .map(file => FILE_PATTERN.exec(file)?.[1])
+            .filter(day => day && (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+            .sort()
+            .reverse();
+
+        const results = [];
+        for (const day of days) {
+            const dayMatches = [];
+            const lines = readline.createInterface({ input: fs.createReadStream(this.filePath(day)), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (this.matches(entry, filters)) dayMatches.push(entry);
+                } catch (error) {
+                    console.warn(`Skipping unreadable audit line in ${day}`);
+                }
+            }
+            results.push(...dayMatches.reverse());
+            if (results.length >= limit) break;
+        }
+        return results.slice(0, limit);
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { SqlGuardError } = require("./sqlGuard");
+
+const ALL_BRANDS = "*";
+
+// Used when AUTH_REQUIRED=false (local development only)
+const ANONYMOUS_USER = { id: "anonymous", name: "Anonymous", role: "admin", brands: [ALL_BRANDS] };
+
+class AuthError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "AuthError";
+        this.status = status;
+    }
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf-8"));
+}
+
+// Users live in users.json: API keys are stored as sha256 hex digests, and `brands`
+// lists the brand names the user may query ("*" for every brand)
+class AuthService {
+    constructor() {
+        this.usersPath = process.env.AUTH_USERS_FILE || path.join(__dirname, "..", "users.json");
+        this.jwtSecret = process.env.AUTH_JWT_SECRET || null;
+        this.required = (process.env.AUTH_REQUIRED || "true").toLowerCase() !== "false";
+        this.users = [];
+        this.lastModified = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            const stat = fs.statSync(this.usersPath);
+            if (this.lastModified && stat.mtimeMs === this.lastModified) return;
+            const config = JSON.parse(fs.readFileSync(this.usersPath, "utf-8"));
+            this.users = (config.users || []).map(user => ({
+                id: String(user.id),
+                name: user.name || String(user.id),
+                role: user.role === "admin" ? "admin" : "user",
+                brands: (user.brands || []).map(brand => String(brand)),
+                apiKeyHashes: (user.apiKeys || []).map(key => String(key).toLowerCase()),
+            }));
+            this.lastModified = stat.mtimeMs;
+            console.log(`Loaded ${this.users.length} users from ${this.usersPath}`);
+        } catch (error) {
+            // Keep the last good user list; with none, every authenticated request fails
+            if (error.code !== "ENOENT") console.error("Error loading users:", error.message);
+            else if (this.required) console.warn(`No users file at ${this.usersPath}; all API requests will be rejected`);
+        }
+    }
+
+    toPrincipal(user) {
+        return { id: user.id, name: user.name, role: user.role, brands: user.brands };
+    }
+
+    // Resolves the caller from `Authorization: Bearer <api key | JWT>` or `X-API-Key`
+    authenticate(headers) {
+        this.load();
+        const authorization = headers.authorization || "";
+        const bearer = authorization.startsWith("Bearer ") ? authorization.slice(7).trim() : null;
+        const credential = bearer || headers["x-api-key"] || null;
+
+        if (!credential) {
+            if (!this.required) return ANONYMOUS_USER;
+            throw new AuthError(401, "Authentication required");
+        }
+
+        const user = credential.split(".").length === 3
+            ? this.verifyJwt(credential)
+            : this.findByApiKey(credential);
+        if (!user) throw new AuthError(401, "Invalid credentials");
+        return this.toPrincipal(user);
+    }
+
+    // For work done on a user's behalf outside a request (scheduled reports)
+    findById(id) {
+        this.load();
+        if (!this.required && id === ANONYMOUS_USER.id) return ANONYMOUS_USER;
+        const user = this.users.find(candidate => candidate.id === id);
+        return user ? this.toPrincipal(user) : null;
+    }
+
+    findByApiKey(apiKey) {
+        const digest = hashApiKey(apiKey);
+        return this.users.find(user => user.apiKeyHashes.some(hash => safeEqual(hash, digest))) || null;
+    }
+
+    // HS256 tokens signed with AUTH_JWT_SECRET; `sub` must name a configured user
+    verifyJwt(token) {
+        if (!this.jwtSecret) return null;
+        const [header, payload, signature] = token.split(".");
+
+        try {
+            if (decodeSegment(header).alg !== "HS256") return null;
+            const expected = crypto.createHmac("sha256", this.jwtSecret).update(`${header}.${payload}`).digest("base64url");
+            if (!safeEqual(expected, signature)) return null;
+
+            const claims = decodeSegment(payload);
+            const now = Math.floor(Date.now() / 1000);
+            if (typeof claims.exp === "number" && now >= claims.exp) return null;
+            if (typeof claims.nbf === "number" && now < claims.nbf) return null;
+            return this.users.find(user => user.id === String(claims.sub)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    hasAllBrands(user) {
+        return user.brands.includes(ALL_BRANDS);
+    }
+
+    canAccessBrand(user, brandName) {
+        if (this.hasAllBrands(user)) return true;
+        const name = String(brandName).trim().toLowerCase();
+        return user.brands.some(brand => brand.toLowerCase() === name);
+    }
+
+    filterBrands(user, brandNames) {
+        return brandNames.filter(brand => this.canAccessBrand(user, brand));
+    }
+
+    // Returns the brand a request must be scoped to: the requested one if the user may
+    // see it, the user's only brand when none was requested, or null for unrestricted users
+    resolveEntitledBrand(user, requestedBrand) {
+        if (requestedBrand) {
+            if (!this.canAccessBrand(user, requestedBrand)) {
+                throw new SqlGuardError(
+                    "brand_not_allowed",
+                    `You do not have access to brand "${String(requestedBrand).trim()}".`,
+                    { brand: String(requestedBrand).trim() }
+                );
+            }
+            return requestedBrand;
+        }
+        if (this.hasAllBrands(user)) return null;
+        if (user.brands.length === 1) return user.brands[0];
+        throw new SqlGuardError(
+            "brand_required",
+            "A brand must be selected for this request.",
+            { brands: user.brands }
+        );
+    }
+}
+
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
+module.exports.hashApiKey = hashApiKey;
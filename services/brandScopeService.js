@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+const sqlGuard = require("./sqlGuard");
+const { SqlGuardError } = sqlGuard;
+
+// Fact tables whose master_brand_id is stored as VARCHAR and must be CAST to uuid
+const FACT_CATALOG = "lakehouse.ap_south1_gold";
+const BRAND_TABLE = "database.global.t_master_brand";
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class BrandScopeService {
+    constructor() {
+        this.trinoService = null;
+        this.knowledgeBase = null;
+    }
+
+    initialize(trinoService) {
+        this.trinoService = trinoService;
+        this.loadKnowledgeBase();
+    }
+
+    loadKnowledgeBase() {
+        try {
+            const kbPath = path.join(__dirname, "..", "knowledgebase.json");
+            this.knowledgeBase = JSON.parse(fs.readFileSync(kbPath, "utf-8"));
+        } catch (error) {
+            console.warn("Brand scope could not load knowledge base:", error.message);
+            this.knowledgeBase = null;
+        }
+    }
+
+    // Looks up the brand by name; the name never reaches SQL unescaped
+    async resolveBrand(brandName) {
+        const name = String(brandName).trim();
+        const literal = name.toLowerCase().replace(/'/g, "''");
+        const sql = `SELECT CAST(master_brand_id AS varchar), brand_name FROM ${BRAND_TABLE} WHERE LOWER(brand_name) = '${literal}'`;
+        const result = await this.trinoService.executeQuery(sql);
+
+        const brandIds = result.rows.map(row => row[0]).filter(id => UUID_PATTERN.test(id));
+        if (brandIds.length === 0) {
+            throw new SqlGuardError("unknown_brand", `Brand "${name}" was not found.`, { brand: name });
+        }
+        return { brand: result.rows[0][1], brandIds };
+    }
+
+    getBrandColumnType(catalogSchema, table) {
+        const tableInfo = this.knowledgeBase?.catalogs?.[catalogSchema]?.tables?.[table];
+        if (!tableInfo) return catalogSchema === FACT_CATALOG ? "varchar" : undefined;
+        return tableInfo.columns?.master_brand_id?.type || null;
+    }
+
+    buildScopedRelation(ref, brandScope) {
+        const catalogSchema = `${ref.catalog}.${ref.schema}`;
+        const idList = brandScope.brandIds.map(id => `CAST('${id}' AS uuid)`).join(", ");
+        const columnType = this.getBrandColumnType(catalogSchema, ref.table);
+
+        if (columnType === undefined) {
+            throw new SqlGuardError(
+                "brand_scope_failed",
+                `Cannot restrict ${ref.fullName} to brand "${brandScope.brand}" because its columns are unknown.`,
+                { table: ref.fullName }
+            );
+        }
+        // Lookup tables without a brand column (platforms, regions) are shared by every brand
+        if (columnType === null) return null;
+
+        let subquery;
+        if (columnType === "uuid") {
+            subquery = `SELECT * FROM ${ref.fullName} WHERE master_brand_id IN (${idList})`;
+        } else {
+            subquery = `SELECT __scoped.* FROM ${ref.fullName} __scoped`
+                + ` JOIN ${BRAND_TABLE} __scope_brand ON CAST(__scoped.master_brand_id AS uuid) = __scope_brand.master_brand_id`
+                + ` WHERE __scope_brand.master_brand_id IN (${idList})`;
+        }
+        return ref.alias ? `(${subquery})` : `(${subquery}) ${ref.table}`;
+    }
+
+    // Rewrites every brand-bearing table reference into a brand-filtered derived table
+    scopeSql(sql, brandScope) {
+        const { catalog, schema } = this.trinoService.getCatalogsInfo()[0];
+        const analysis = sqlGuard.analyze(sql, { catalog, schema });
+
+        // Metadata statements cannot be rewritten. Listings are harmless, but SHOW STATS reports
+        // min, max and distinct counts over every brand's rows, and fact tables stay off limits.
+        if (analysis.statementType === "show" || analysis.statementType === "describe") {
+            const [, second] = sqlGuard.tokenize(sql);
+            const factTable = analysis.tables.find(ref => `${ref.catalog}.${ref.schema}` === FACT_CATALOG);
+            if (second?.upper === "STATS" || factTable) {
+                throw new SqlGuardError(
+                    "brand_scope_failed",
+                    `Cannot restrict this ${analysis.statementType.toUpperCase()} statement to brand "${brandScope.brand}".`,
+                    { table: factTable?.fullName || analysis.tableNames[0] || null }
+                );
+            }
+            return { sql, scopedTables: [] };
+        }
+
+        const replacements = [];
+        for (const ref of analysis.tables) {
+            const relation = this.buildScopedRelation(ref, brandScope);
+            if (!relation) continue;
+            if (ref.context !== "relation") {
+                throw new SqlGuardError(
+                    "brand_scope_failed",
+                    `Cannot restrict ${ref.fullName} to brand "${brandScope.brand}" in this statement.`,
+                    { table: ref.fullName }
+                );
+            }
+            replacements.push({ start: ref.start, end: ref.end, text: relation, table: ref.fullName });
+        }
+
+        let scopedSql = sql;
+        for (const { start, end, text } of [...replacements].sort((a, b) => b.start - a.start)) {
+            scopedSql = scopedSql.slice(0, start) + text + scopedSql.slice(end);
+        }
+
+        return { sql: scopedSql, scopedTables: [...new Set(replacements.map(r => r.table))] };
+    }
+}
+
+module.exports = new BrandScopeService();
@@ -1,81 +1,319 @@
 const crypto = require('crypto');
+const Redis = require('ioredis');
+const sqlGuard = require('./sqlGuard');
 
-class CacheService {
-    constructor() {
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+const DEFAULT_TTL_SECONDS = 5 * 60;
+// Live materialized views change through the day; master data rarely does
+const DEFAULT_TTL_RULES = 'mv_ads_*=300,t_master_*=21600';
+
+// "mv_ads_*=300,t_master_*=21600" -> [{ pattern, regex, ttl }]; patterns with a dot match full names
+function parseTtlRules(value) {
+    return value.split(',').map(rule => rule.trim()).filter(Boolean).map((rule) => {
+        const [pattern, seconds] = rule.split('=').map(part => part.trim());
+        const ttl = parseInt(seconds, 10) * 1000;
+        if (!pattern || !(ttl > 0)) throw new Error(`Invalid CACHE_TTL_RULES entry: ${rule}`);
+        const source = pattern.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return { pattern, regex: new RegExp(`^${source}$`), ttl };
+    });
+}
+
+function matchesTable(fullName, table) {
+    return fullName === table || fullName.endsWith(`.${table}`);
+}
+
+// Stores implement: get(key), set(key, item), invalidateTable(table), clear(), increment(stat),
+// stats(). All methods are async. An item is { value, bytes, tables, createdAt, expiresAt,
+// staleUntil }; stores drop it after staleUntil and report table invalidations as a count.
+class MemoryCacheStore {
+    constructor(maxBytes) {
+        // Map iteration order is the LRU order: reads move an entry to the end
         this.cache = new Map();
-        this.maxSize = 1000;
-        this.defaultTTL = 5 * 60 * 1000; // 5 minutes
-        this.stats = { hits: 0, misses: 0 };
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.counters = { hits: 0, staleHits: 0, misses: 0, evictions: 0 };
     }
 
-    generateKey(sql) {
-        return crypto.createHash('md5').update(sql.trim().toLowerCase()).digest('hex');
+    remove(key) {
+        const item = this.cache.get(key);
+        if (!item) return;
+        this.cache.delete(key);
+        this.bytes -= item.bytes;
     }
 
-    get(sql) {
-        const key = this.generateKey(sql);
+    async get(key) {
         const item = this.cache.get(key);
-
-        if (!item) {
-            this.stats.misses++;
+        if (!item) return null;
+        if (Date.now() > item.staleUntil) {
+            this.remove(key);
             return null;
         }
+        this.cache.delete(key);
+        this.cache.set(key, item);
+        return item;
+    }
 
-        if (Date.now() > item.expiresAt) {
-            this.cache.delete(key);
-            this.stats.misses++;
-            return null;
+    async set(key, item) {
+        this.remove(key);
+        if (item.bytes > this.maxBytes) return false;
+        // Least recently used entries go first
+        for (const oldest of this.cache.keys()) {
+            if (this.bytes + item.bytes <= this.maxBytes) break;
+            this.remove(oldest);
+            this.counters.evictions++;
+        }
+        this.cache.set(key, item);
+        this.bytes += item.bytes;
+        return true;
+    }
+
+    async invalidateTable(table) {
+        let removed = 0;
+        for (const [key, item] of this.cache) {
+            if (item.tables.some(fullName => matchesTable(fullName, table))) {
+                this.remove(key);
+                removed++;
+            }
         }
+        return removed;
+    }
 
-        this.stats.hits++;
-        console.log(`Cache HIT for query (${key.slice(0, 8)}...)`);
-        return item.value;
+    async clear() {
+        const removed = this.cache.size;
+        this.cache.clear();
+        this.bytes = 0;
+        return removed;
     }
 
-    set(sql, value, ttl = this.defaultTTL) {
-        const key = this.generateKey(sql);
+    async increment(stat) {
+        this.counters[stat]++;
+    }
+
+    async stats() {
+        return { size: this.cache.size, bytes: this.bytes, maxBytes: this.maxBytes, ...this.counters };
+    }
+}
+
+// Any Redis-protocol server. Every instance pointing at it shares entries, invalidations and
+// stats. Memory is bounded by the server: set maxmemory with an allkeys-lru policy.
+class RedisCacheStore {
+    constructor(url, prefix, indexTTL) {
+        this.prefix = prefix;
+        // Table index sets outlive any entry they point to
+        this.indexTTL = indexTTL;
+        // Fail fast while disconnected; a cache outage must not hold up queries
+        this.client = new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+        this.client.on('error', error => console.warn('Redis cache error:', error.message));
+    }
 
-        if (this.cache.size >= this.maxSize) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+    entryKey(key) {
+        return `${this.prefix}entry:${key}`;
+    }
+
+    tableKey(table) {
+        return `${this.prefix}table:${table}`;
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.entryKey(key));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, item) {
+        const ttl = item.staleUntil - Date.now();
+        if (ttl <= 0) return false;
+        const pipeline = this.client.pipeline().set(this.entryKey(key), JSON.stringify(item), 'PX', ttl);
+        // Indexed under the full and the bare table name, matching invalidateTable()
+        const names = new Set(item.tables.flatMap(table => [table, table.split('.').pop()]));
+        for (const name of names) {
+            pipeline.sadd(this.tableKey(name), key).pexpire(this.tableKey(name), this.indexTTL);
         }
+        // exec() reports command errors per command instead of rejecting
+        const failed = (await pipeline.exec()).find(([error]) => error);
+        if (failed) throw failed[0];
+        return true;
+    }
 
-        this.cache.set(key, {
-            value,
-            expiresAt: Date.now() + ttl,
-            createdAt: Date.now()
-        });
+    async invalidateTable(table) {
+        const keys = await this.client.smembers(this.tableKey(table));
+        const removed = keys.length > 0 ? await this.client.del(...keys.map(key => this.entryKey(key))) : 0;
+        await this.client.del(this.tableKey(table));
+        return removed;
+    }
 
-        console.log(`Cached query result (${key.slice(0, 8)}...), TTL: ${ttl / 1000}s`);
+    async scanKeys(pattern, onKeys) {
+        let cursor = '0';
+        do {
+            const [next, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+            cursor = next;
+            if (keys.length > 0) await onKeys(keys);
+        } while (cursor !== '0');
     }
 
-    has(sql) {
+    // Deletes this cache's keys only; the server may be shared with other data
+    async clear() {
+        let removed = 0;
+        await this.scanKeys(`${this.prefix}entry:*`, async (keys) => { removed += await this.client.del(...keys); });
+        await this.scanKeys(`${this.prefix}table:*`, keys => this.client.del(...keys));
+        return removed;
+    }
+
+    async increment(stat) {
+        await this.client.hincrby(`${this.prefix}stats`, stat, 1);
+    }
+
+    async stats() {
+        let size = 0;
+        await this.scanKeys(`${this.prefix}entry:*`, (keys) => { size += keys.length; });
+        const counters = await this.client.hgetall(`${this.prefix}stats`);
+        return {
+            size,
+            hits: Number(counters.hits || 0),
+            staleHits: Number(counters.staleHits || 0),
+            misses: Number(counters.misses || 0),
+        };
+    }
+}
+
+class CacheService {
+    constructor() {
+        this.defaultTTL = (parseInt(process.env.CACHE_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS) * 1000;
+        // How long past expiry an entry may still be served while it is refreshed
+        this.staleTTL = (parseInt(process.env.CACHE_STALE_SECONDS, 10) || DEFAULT_TTL_SECONDS) * 1000;
+        this.ttlRules = parseTtlRules(process.env.CACHE_TTL_RULES ?? DEFAULT_TTL_RULES);
+        this.storeType = (process.env.CACHE_STORE || 'memory').toLowerCase();
+        this.store = this.createStore();
+    }
+
+    createStore() {
+        if (this.storeType === 'redis') {
+            const url = process.env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379';
+            const prefix = process.env.CACHE_REDIS_PREFIX || 'trino-chat:cache:';
+            const longestTTL = Math.max(this.defaultTTL, ...this.ttlRules.map(rule => rule.ttl));
+            console.log(`Using Redis cache store at ${url.replace(/\/\/[^@/]*@/, '//***@')}`);
+            return new RedisCacheStore(url, prefix, longestTTL + this.staleTTL);
+        }
+        const maxBytes = parseInt(process.env.CACHE_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+        return new MemoryCacheStore(maxBytes);
+    }
+
+    // Counters are best-effort; a failed increment is not worth a log line per query
+    count(stat) {
+        this.store.increment(stat).catch(() => {});
+    }
+
+    // Keywords and identifiers are case-insensitive in Trino, string literals are not:
+    // `category = 'Men'` and `CATEGORY = 'Men'` share an entry, `= 'men'` does not.
+    normalize(sql) {
+        try {
+            return sqlGuard.tokenize(sql).map((token) => {
+                if (token.type === 'word') return token.value.toLowerCase();
+                if (token.type === 'string') return `'${token.value.replace(/'/g, "''")}'`;
+                if (token.type === 'ident') return `"${token.value.replace(/"/g, '""')}"`;
+                return token.value;
+            }).join(' ');
+        } catch (error) {
+            return sql.trim();
+        }
+    }
+
+    generateKey(sql) {
+        return crypto.createHash('sha256').update(this.normalize(sql)).digest('hex');
+    }
+
+    // Shortest TTL among the rules matching the query's tables
+    getTTL(tables = []) {
+        let ttl = null;
+        for (const table of tables) {
+            const name = table.toLowerCase();
+            const bare = name.split('.').pop();
+            const rule = this.ttlRules.find(r => r.regex.test(r.pattern.includes('.') ? name : bare));
+            if (rule) ttl = ttl === null ? rule.ttl : Math.min(ttl, rule.ttl);
+        }
+        return ttl ?? this.defaultTTL;
+    }
+
+    // Returns { value, stale } or null. Stale entries are still served; the caller refreshes them.
+    // A store failure counts as a miss so queries keep working without the cache.
+    async get(sql) {
         const key = this.generateKey(sql);
-        const item = this.cache.get(key);
-        if (!item) return false;
-        if (Date.now() > item.expiresAt) {
-            this.cache.delete(key);
-            return false;
+        let item;
+        try {
+            item = await this.store.get(key);
+        } catch (error) {
+            console.warn('Cache read failed:', error.message);
+            item = null;
         }
-        return true;
+
+        if (!item) {
+            this.count('misses');
+            return null;
+        }
+
+        const stale = Date.now() > item.expiresAt;
+        this.count(stale ? 'staleHits' : 'hits');
+        console.log(`Cache ${stale ? 'STALE HIT' : 'HIT'} for query (${key.slice(0, 8)}...)`);
+        return { value: item.value, stale };
     }
 
-    clear() {
-        this.cache.clear();
+    // `tables` are the query's full table names; they pick the TTL and allow invalidation
+    async set(sql, value, { tables = [], ttl = this.getTTL(tables) } = {}) {
+        const key = this.generateKey(sql);
+        const bytes = Buffer.byteLength(JSON.stringify(value));
+        const now = Date.now();
+        const item = {
+            value,
+            bytes,
+            tables: tables.map(table => table.toLowerCase()),
+            createdAt: now,
+            expiresAt: now + ttl,
+            staleUntil: now + ttl + this.staleTTL,
+        };
+
+        try {
+            if (await this.store.set(key, item)) {
+                console.log(`Cached query result (${key.slice(0, 8)}...), ${bytes} bytes, TTL: ${ttl / 1000}s`);
+            } else {
+                console.log(`Query result too large to cache (${bytes} bytes)`);
+            }
+        } catch (error) {
+            console.warn('Cache write failed:', error.message);
+        }
+    }
+
+    async has(sql) {
+        const item = await this.store.get(this.generateKey(sql));
+        return Boolean(item) && Date.now() <= item.expiresAt;
+    }
+
+    // Drops every entry reading `table` (full or bare name); returns how many were removed
+    async invalidateTable(table) {
+        const removed = await this.store.invalidateTable(table.toLowerCase());
+        console.log(`Cache invalidated for ${table}: ${removed} entries`);
+        return removed;
+    }
+
+    // Returns how many entries were removed
+    async clear() {
+        const removed = await this.store.clear();
         console.log('Cache cleared');
+        return removed;
     }
 
-    getStats() {
-        const total = this.stats.hits + this.stats.misses;
-        const hitRate = total > 0 ? ((this.stats.hits / total) * 100).toFixed(2) : 0;
+    // With the Redis store, counters and size cover every instance sharing the server
+    async getStats() {
+        const stats = await this.store.stats();
+        const total = stats.hits + stats.staleHits + stats.misses;
+        const hitRate = total > 0 ? (((stats.hits + stats.staleHits) / total) * 100).toFixed(2) : 0;
         return {
-            size: this.cache.size,
-            maxSize: this.maxSize,
-            hits: this.stats.hits,
-            misses: this.stats.misses,
-            hitRate: `${hitRate}%`
+            store: this.storeType,
+            ...stats,
+            hitRate: `${hitRate}%`,
+            ttlRules: this.ttlRules.map(({ pattern, ttl }) => ({ pattern, ttlSeconds: ttl / 1000 })),
         };
     }
 }
 
 module.exports = new CacheService();
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.RedisCacheStore = RedisCacheStore;
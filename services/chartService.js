@@ -0,0 +1,241 @@
+const forecastService = require("./forecastService");
+
+// Recommends how to draw a query result: a line chart for time series, a bar chart for
+// categorical comparisons, the plain table otherwise. The recommendation carries a
+// Vega-Lite spec with the rows inlined, so a client only has to hand it to vega-embed.
+
+const VEGA_LITE_SCHEMA = "https://vega.github.io/schema/vega-lite/v5.json";
+const NUMERIC_TYPES = new Set(["tinyint", "smallint", "integer", "bigint", "real", "double", "decimal"]);
+const TEMPORAL_TYPES = new Set(["date", "timestamp"]);
+// Numeric columns that are labels, not measures (EXTRACT(YEAR ...) AS year, ids)
+const ORDINAL_NAMES = /^(year|quarter|month|week|day|hour|day_of_week|yr|qtr|mon|wk)$/i;
+const ID_NAMES = /(^id$|_id$|^id_)/i;
+const DATE_VALUE = /^\d{4}-\d{2}(-\d{2})?([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?/;
+const DEFAULT_MAX_POINTS = 5000;
+const MAX_BAR_CATEGORIES = 50;
+const MAX_SERIES = 10;
+const MAX_MEASURES = 5;
+
+function baseType(type) {
+    return String(type || "").toLowerCase().replace(/\(.*$/, "").trim();
+}
+
+function isNumericValue(value) {
+    if (typeof value === "number") return Number.isFinite(value);
+    return typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value));
+}
+
+// Vega-Lite reads dots and brackets in field names as nested access
+function field(name) {
+    return String(name).replace(/[.[\]\\]/g, "\\$&");
+}
+
+class ChartService {
+    constructor() {
+        this.maxPoints = parseInt(process.env.CHART_MAX_POINTS, 10) || DEFAULT_MAX_POINTS;
+    }
+
+    // Returns [{ name, index, role, distinct }] with role temporal, quantitative, ordinal
+    // or nominal. Trino's column types decide when known; cached results predating them
+    // fall back to the values.
+    classifyColumns(columns, columnTypes, rows) {
+        return columns.map((name, index) => {
+            const values = rows.map(row => row[index]).filter(value => value !== null && value !== undefined && value !== "");
+            const distinct = new Set(values.map(String)).size;
+            const type = baseType(columnTypes[index]);
+            let role;
+            if (TEMPORAL_TYPES.has(type)) {
+                role = "temporal";
+            } else if (NUMERIC_TYPES.has(type) || (!type && values.length > 0 && values.every(isNumericValue))) {
+                role = ORDINAL_NAMES.test(name) || ID_NAMES.test(name) ? "ordinal" : "quantitative";
+            } else if ((!type || type === "varchar") && values.length > 0 && values.every(value => DATE_VALUE.test(String(value)))) {
+                // Months formatted by the query (format_datetime, date_trunc cast to varchar)
+                role = "temporal";
+            } else {
+                role = "nominal";
+            }
+            return { name, index, role, distinct };
+        });
+    }
+
+    // Returns { type, reason, encoding: { x, y, series }, spec }; type "table" has no
+    // encoding or spec and `reason` says why nothing better fit.
+    recommend({ columns, columnTypes = [], rows }) {
+        if (!columns || !rows || rows.length === 0) return this.table("no_rows");
+        if (rows.length > this.maxPoints) return this.table("too_many_rows");
+
+        const classified = this.classifyColumns(columns, columnTypes, rows);
+        const measures = classified.filter(c => c.role === "quantitative");
+        const temporal = classified.find(c => c.role === "temporal");
+        const dimensions = classified.filter(c => c !== temporal && (c.role === "nominal" || c.role === "ordinal"));
+        if (measures.length === 0) return this.table("no_measure");
+        if (measures.length > MAX_MEASURES) return this.table("too_many_measures");
+
+        if (temporal && temporal.distinct >= 2) {
+            return this.lineChart(columns, rows, temporal, measures, dimensions);
+        }
+
+        const category = dimensions.find(c => c.distinct >= 2);
+        if (!category) return this.table(rows.length === 1 ? "single_row" : "no_dimension");
+        if (category.distinct > MAX_BAR_CATEGORIES) return this.table("too_many_categories");
+        return this.barChart(columns, rows, category, measures, dimensions.filter(c => c !== category));
+    }
+
+    table(reason) {
+        return { type: "table", reason, encoding: null, spec: null };
+    }
+
+    values(columns, rows) {
+        return rows.map(row => Object.fromEntries(columns.map((name, i) => [name, row[i]])));
+    }
+
+    // Several measures become series through a fold; otherwise a low-cardinality
+    // dimension does. Anything more would be a wall of lines. `names` are the plain
+    // column names for the response's encoding summary.
+    seriesFor(measures, dimensions) {
+        if (measures.length > 1) {
+            if (dimensions.some(c => c.distinct > 1)) return { error: "too_many_series" };
+            return {
+                transform: [{ fold: measures.map(m => field(m.name)), as: ["measure", "value"] }],
+                y: { field: "value", type: "quantitative", title: null },
+                series: { field: "measure", type: "nominal", title: null },
+                names: { y: "value", series: "measure" },
+            };
+        }
+
+        const y = { field: field(measures[0].name), type: "quantitative", title: measures[0].name };
+        const varying = dimensions.filter(c => c.distinct > 1);
+        if (varying.length === 0) return { transform: [], y, series: null, names: { y: measures[0].name, series: null } };
+        if (varying.length > 1 || varying[0].distinct > MAX_SERIES) return { error: "too_many_series" };
+        return {
+            transform: [],
+            y,
+            series: { field: field(varying[0].name), type: "nominal", title: varying[0].name },
+            names: { y: measures[0].name, series: varying[0].name },
+        };
+    }
+
+    lineChart(columns, rows, temporal, measures, dimensions) {
+        const series = this.seriesFor(measures, dimensions);
+        if (series.error) return this.table(series.error);
+
+        const x = { field: field(temporal.name), type: "temporal", title: temporal.name };
+        const encoding = { x, y: series.y };
+        if (series.series) encoding.color = series.series;
+
+        return {
+            type: "line",
+            reason: "time_series",
+            encoding: { x: temporal.name, ...series.names },
+            spec: {
+                $schema: VEGA_LITE_SCHEMA,
+                data: { values: this.values(columns, rows) },
+                transform: series.transform,
+                mark: { type: "line", point: rows.length <= 60, tooltip: true },
+                encoding,
+            },
+        };
+    }
+
+    barChart(columns, rows, category, measures, dimensions) {
+        const series = this.seriesFor(measures, dimensions);
+        if (series.error) return this.table(series.error);
+
+        // Ordinal labels (years, months) keep their order; categories sort by size
+        const x = {
+            field: field(category.name),
+            type: category.role === "nominal" ? "nominal" : "ordinal",
+            title: category.name,
+            sort: category.role === "nominal" && !series.series ? "-y" : "ascending",
+        };
+        const encoding = { x, y: series.y };
+        if (series.series) {
+            encoding.color = series.series;
+            encoding.xOffset = { field: series.series.field };
+        }
+
+        return {
+            type: "bar",
+            reason: "categorical_comparison",
+            encoding: { x: category.name, ...series.names },
+            spec: {
+                $schema: VEGA_LITE_SCHEMA,
+                data: { values: this.values(columns, rows) },
+                transform: series.transform,
+                mark: { type: "bar", tooltip: true },
+                encoding,
+            },
+        };
+    }
+
+    // Actuals and predictions in long format: one point per date and series, `kind` marking
+    // which is which. Each forecast line starts at its series' last actual point so the two
+    // lines meet without padding the table.
+    recommendForecast(result, forecastResult) {
+        const { dateColumnIndex, dimensionColumnIndexes, dateColumn } = forecastResult;
+        const series = forecastResult.series.filter(s => s.success);
+        const values = [];
+
+        for (const s of series) {
+            const key = JSON.stringify(s.groupValues);
+            const groupRows = result.rows.filter(row => JSON.stringify(dimensionColumnIndexes.map(i => row[i])) === key);
+            const { times, values: actuals } = forecastService.buildSeries(groupRows, dateColumnIndex, s.metricColumnIndex);
+            times.forEach((time, i) => {
+                values.push({
+                    date: new Date(time).toISOString().split("T")[0],
+                    value: actuals[i],
+                    series: s.label,
+                    kind: "actual",
+                    lower: null,
+                    upper: null,
+                });
+            });
+
+            values.push({ date: s.lastActual.date, value: s.lastActual.value, series: s.label, kind: "forecast", lower: s.lastActual.value, upper: s.lastActual.value });
+            for (const prediction of s.predictions) {
+                values.push({ ...prediction, series: s.label, kind: "forecast" });
+            }
+        }
+
+        const metrics = [...new Set(series.map(s => s.metric))];
+        const encoding = {
+            x: { field: "date", type: "temporal", title: dateColumn },
+        };
+        if (series.length > 1) encoding.color = { field: "series", type: "nominal", title: null };
+
+        return {
+            type: "line",
+            reason: "forecast",
+            encoding: { x: "date", y: "value", series: series.length > 1 ? "series" : null, kind: "kind" },
+            spec: {
+                $schema: VEGA_LITE_SCHEMA,
+                data: { values },
+                encoding,
+                layer: [
+                    {
+                        transform: [{ filter: "datum.kind === 'forecast'" }],
+                        mark: { type: "area", opacity: 0.2 },
+                        encoding: {
+                            y: { field: "lower", type: "quantitative" },
+                            y2: { field: "upper" },
+                        },
+                    },
+                    {
+                        mark: { type: "line", tooltip: true },
+                        encoding: {
+                            y: { field: "value", type: "quantitative", title: metrics.length === 1 ? metrics[0] : null },
+                            strokeDash: {
+                                field: "kind",
+                                type: "nominal",
+                                title: null,
+                                scale: { domain: ["actual", "forecast"], range: [[1, 0], [6, 4]] },
+                            },
+                        },
+                    },
+                ],
+            },
+        };
+    }
+}
+
+module.exports = new ChartService();
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const tableAccessService = require("./tableAccessService");
+const { SqlGuardError } = require("./sqlGuard");
+
+const RULES = new Set(["deny", "hash", "mask", "null"]);
+
+class ColumnPolicyService {
+    // Column rules accept either a rule name ("deny") or an object ({ "rule": "mask", "visible": 4 })
+    normalizeRule(rule) {
+        const normalized = typeof rule === "string" ? { rule } : { ...rule };
+        normalized.rule = String(normalized.rule || "").toLowerCase();
+        if (!RULES.has(normalized.rule)) {
+            console.warn(`Ignoring unknown column rule "${normalized.rule}"`);
+            return null;
+        }
+        return normalized;
+    }
+
+    getColumnRules(fullName) {
+        const parts = fullName.toLowerCase().split(".");
+        if (parts.length !== 3) return {};
+        const tableConfig = tableAccessService.getTableConfig(`${parts[0]}.${parts[1]}`, parts[2]);
+        const rules = {};
+        for (const [column, rule] of Object.entries(tableConfig?.columns || {})) {
+            const normalized = this.normalizeRule(rule);
+            if (normalized) rules[column.toLowerCase()] = normalized;
+        }
+        return rules;
+    }
+
+    // Merges the rules of every table a query references, keyed by column name
+    getPolicy(tableNames) {
+        const policy = new Map();
+        for (const fullName of tableNames) {
+            for (const [column, rule] of Object.entries(this.getColumnRules(fullName))) {
+                // When two tables share a column name, the stricter rule wins
+                if (!policy.has(column) || rule.rule === "deny") {
+                    policy.set(column, { ...rule, table: fullName });
+                }
+            }
+        }
+        return policy;
+    }
+
+    assertQueryAllowed(analysis, policy) {
+        for (const [column, rule] of policy) {
+            if (rule.rule === "deny" && analysis.identifiers.has(column)) {
+                throw new SqlGuardError(
+                    "column_not_accessible",
+                    `Column ${column} of ${rule.table} is not accessible.`,
+                    { table: rule.table, column }
+                );
+            }
+        }
+
+        // Masking works on output column names, so masked columns may only be selected as-is
+        for (const item of analysis.selectItems) {
+            for (const [column, rule] of policy) {
+                if (rule.rule === "deny") continue;
+                if (!item.some(token => isIdentifier(token, column))) continue;
+                if (isPassThroughItem(item, column)) continue;
+                throw new SqlGuardError(
+                    "masked_column_expression",
+                    `Column ${column} of ${rule.table} is masked and can only be selected under its own name.`,
+                    { table: rule.table, column }
+                );
+            }
+        }
+
+        // Set operations, UNNEST and column alias lists name their output by position, so a
+        // restricted column inside them would come out under a name the policy does not know
+        for (const region of analysis.renamed || []) {
+            const restricted = this.findRenamedColumn(region, policy);
+            if (!restricted) continue;
+            const { column, rule } = restricted;
+            throw new SqlGuardError(
+                rule.rule === "deny" ? "column_not_accessible" : "masked_column_expression",
+                `Column ${column} of ${rule.table} is ${rule.rule === "deny" ? "not accessible" : "masked"} and cannot be renamed by a set operation, UNNEST or a column alias list.`,
+                { table: rule.table, column }
+            );
+        }
+    }
+
+    // Returns { column, rule } for a restricted column the region names or selects through `*`
+    findRenamedColumn(region, policy) {
+        for (const [column, rule] of policy) {
+            if (region.tokens.some(token => isIdentifier(token, column))) return { column, rule };
+        }
+        if (!region.wildcard && !region.selectItems.some(isWildcardItem)) return null;
+        for (const fullName of region.tableNames) {
+            const rules = Object.entries(this.getColumnRules(fullName));
+            const [column, rule] = rules.find(([, r]) => r.rule === "deny") || rules[0] || [];
+            if (column) return { column, rule: { ...rule, table: fullName } };
+        }
+        return null;
+    }
+
+    applyToResult(result, policy) {
+        if (policy.size === 0) return result;
+
+        const keep = [];
+        const maskers = [];
+        result.columns.forEach((name, index) => {
+            const rule = policy.get(String(name).toLowerCase());
+            if (rule?.rule === "deny") return;
+            keep.push(index);
+            maskers.push(rule ? value => this.maskValue(value, rule) : null);
+        });
+
+        const masked = {
+            ...result,
+            columns: keep.map(index => result.columns[index]),
+            rows: result.rows.map(row => keep.map((index, i) => (maskers[i] ? maskers[i](row[index]) : row[index]))),
+        };
+        // Masked values are strings whatever the source type; nulled ones keep it
+        if (result.columnTypes) {
+            masked.columnTypes = keep.map((index, i) => {
+                const rule = maskers[i] && policy.get(String(result.columns[index]).toLowerCase());
+                return rule && rule.rule !== "null" ? "varchar" : result.columnTypes[index];
+            });
+        }
+        return masked;
+    }
+
+    maskValue(value, rule) {
+        if (value === null || value === undefined) return value;
+        const text = typeof value === "string" ? value : JSON.stringify(value);
+
+        switch (rule.rule) {
+            case "null":
+                return null;
+            case "hash":
+                return crypto.createHash("sha256").update(text).digest("hex").slice(0, rule.length || 16);
+            case "mask": {
+                const visible = Number.isInteger(rule.visible) ? rule.visible : 4;
+                if (text.length <= visible) return "*".repeat(text.length);
+                return "*".repeat(text.length - visible) + text.slice(text.length - visible);
+            }
+            default:
+                return value;
+        }
+    }
+
+    // Used by DESCRIBE-style listings and the knowledge-base prompt
+    isColumnDenied(fullName, column) {
+        return this.getColumnRules(fullName)[column.toLowerCase()]?.rule === "deny";
+    }
+}
+
+function isIdentifier(token, name) {
+    return (token.type === "word" || token.type === "ident") && token.value.toLowerCase() === name;
+}
+
+// `*` or `t.*`
+function isWildcardItem(item) {
+    const last = item[item.length - 1];
+    return last?.type === "punct" && last.value === "*" && (item.length === 1 || item[item.length - 2].value === ".");
+}
+
+// Accepts `col`, `t.col`, `col AS col` and `COUNT(...)`
+function isPassThroughItem(item, column) {
+    if (item[0]?.type === "word" && item[0].upper === "COUNT" && item[1]?.value === "(") {
+        let depth = 0;
+        let close = 1;
+        for (; close < item.length; close++) {
+            if (item[close].value === "(" && item[close].type === "punct") depth++;
+            if (item[close].value === ")" && item[close].type === "punct" && --depth === 0) break;
+        }
+        const rest = item.slice(close + 1);
+        return rest.length <= 1 || (rest.length === 2 && rest[0].upper === "AS");
+    }
+
+    let i = 0;
+    while (item[i + 1]?.type === "punct" && item[i + 1].value === ".") i += 2;
+    if (!item[i] || !isIdentifier(item[i], column)) return false;
+    i++;
+    if (item[i]?.type === "word" && item[i].upper === "AS") i++;
+    if (i < item.length && !isIdentifier(item[i], column)) return false;
+    return i >= item.length - 1;
+}
+
+module.exports = new ColumnPolicyService();
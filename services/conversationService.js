@@ -0,0 +1,286 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MAX_HISTORY_MESSAGES = 20;
+const MAX_TRANSCRIPT_ENTRIES = 500;
+
+// Session ids come from clients, so a session is identified by its owner and id together:
+// two users sending the same id (say "default") get separate sessions
+function sessionKey(userId, id) {
+    return JSON.stringify([userId ?? null, id]);
+}
+
+// Stores implement: get(userId, id), save(session), delete(userId, id), list(). All methods
+// are async. Sessions are copied in and out, so an edited session only changes when it is saved.
+class MemoryConversationStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    async get(userId, id) {
+        const session = this.sessions.get(sessionKey(userId, id));
+        return session ? structuredClone(session) : null;
+    }
+
+    async save(session) {
+        this.sessions.set(sessionKey(session.userId, session.id), structuredClone(session));
+    }
+
+    async delete(userId, id) {
+        return this.sessions.delete(sessionKey(userId, id));
+    }
+
+    async list() {
+        return Array.from(this.sessions.values(), session => structuredClone(session));
+    }
+}
+
+// One JSON file per session; writes go through a temp file + rename so a crash never leaves half a file
+class FileConversationStore {
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    filePath(userId, id) {
+        const name = crypto.createHash("sha256").update(sessionKey(userId, id)).digest("hex").slice(0, 32);
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    async get(userId, id) {
+        try {
+            const content = await fs.promises.readFile(this.filePath(userId, id), "utf-8");
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    async save(session) {
+        const target = this.filePath(session.userId, session.id);
+        const tmp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(session, null, 2));
+        await fs.promises.rename(tmp, target);
+    }
+
+    async delete(userId, id) {
+        try {
+            await fs.promises.unlink(this.filePath(userId, id));
+            return true;
+        } catch (error) {
+            if (error.code === "ENOENT") return false;
+            throw error;
+        }
+    }
+
+    async list() {
+        const files = (await fs.promises.readdir(this.directory)).filter(f => f.endsWith(".json"));
+        const sessions = [];
+        for (const file of files) {
+            try {
+                sessions.push(JSON.parse(await fs.promises.readFile(path.join(this.directory, file), "utf-8")));
+            } catch (error) {
+                console.warn(`Skipping unreadable session file ${file}: ${error.message}`);
+            }
+        }
+        return sessions;
+    }
+}
+
+// One row per session in a SQLite database file. WAL mode lets readers carry on while a
+// session is written, and lets several processes share the file.
+class SqliteConversationStore {
+    constructor(file) {
+        // Loaded only when selected so the other stores do not need the native module
+        const Database = require("better-sqlite3");
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.db = new Database(file);
+        this.db.pragma("journal_mode = WAL");
+        // Sessions without an owner (no userId) are stored under ''
+        this.db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+            user_id TEXT NOT NULL,
+            id TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (user_id, id)
+        )`);
+        this.statements = {
+            get: this.db.prepare("SELECT data FROM sessions WHERE user_id = ? AND id = ?"),
+            save: this.db.prepare(`INSERT INTO sessions (user_id, id, updated_at, data) VALUES (@userId, @id, @updatedAt, @data)
+                ON CONFLICT (user_id, id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data`),
+            delete: this.db.prepare("DELETE FROM sessions WHERE user_id = ? AND id = ?"),
+            list: this.db.prepare("SELECT data FROM sessions"),
+        };
+    }
+
+    async get(userId, id) {
+        const row = this.statements.get.get(userId ?? "", id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async save(session) {
+        this.statements.save.run({
+            userId: session.userId ?? "",
+            id: session.id,
+            updatedAt: session.updatedAt,
+            data: JSON.stringify(session),
+        });
+    }
+
+    async delete(userId, id) {
+        return this.statements.delete.run(userId ?? "", id).changes > 0;
+    }
+
+    async list() {
+        return this.statements.list.all().map(row => JSON.parse(row.data));
+    }
+}
+
+class ConversationService {
+    constructor() {
+        this.store = this.createStore();
+        // Per-session tail of pending writes; see withLock()
+        this.locks = new Map();
+        this.ttl = (parseFloat(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+        this.sweepTimer = setInterval(() => {
+            this.purgeExpired().catch(error => console.error("Session purge failed:", error.message));
+        }, 10 * 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    createStore() {
+        const type = (process.env.CONVERSATION_STORE || "memory").toLowerCase();
+        if (type === "sqlite") {
+            const file = process.env.CONVERSATION_SQLITE_FILE || path.join(__dirname, "..", "data", "conversations.sqlite");
+            console.log(`Using SQLite conversation store at ${file}`);
+            return new SqliteConversationStore(file);
+        }
+        if (type === "file") {
+            const directory = process.env.CONVERSATION_DIR || path.join(__dirname, "..", "data", "conversations");
+            console.log(`Using file conversation store at ${directory}`);
+            return new FileConversationStore(directory);
+        }
+        return new MemoryConversationStore();
+    }
+
+    isExpired(session, now = Date.now()) {
+        return now - new Date(session.updatedAt).getTime() > this.ttl;
+    }
+
+    // Looks up `userId`'s session `id`; other users' sessions with the same id are not visible
+    async getSession(id, userId = null) {
+        const session = await this.store.get(userId, id);
+        if (!session) return null;
+        if (this.isExpired(session)) {
+            await this.store.delete(userId, id);
+            return null;
+        }
+        return session;
+    }
+
+    // A missing session id starts a new session. An id is only looked up among the user's
+    // own sessions, so a shared id such as "default" never reaches another user's history.
+    async getOrCreateSession(id, userId = null) {
+        if (id) {
+            const existing = await this.getSession(id, userId);
+            if (existing) return existing;
+        }
+        const now = new Date().toISOString();
+        return {
+            id: id || crypto.randomUUID(),
+            userId,
+            title: null,
+            createdAt: now,
+            updatedAt: now,
+            messages: [],
+            transcript: [],
+        };
+    }
+
+    // Runs `fn` once every earlier write to the same session has finished. Each write
+    // re-reads the stored session, so concurrent turns and renames do not overwrite each other.
+    withLock(userId, id, fn) {
+        const key = sessionKey(userId, id);
+        const run = (this.locks.get(key) || Promise.resolve()).then(fn);
+        const tail = run.catch(() => {});
+        this.locks.set(key, tail);
+        tail.then(() => {
+            if (this.locks.get(key) === tail) this.locks.delete(key);
+        });
+        return run;
+    }
+
+    // Adds one chat turn's history and transcript entries to the latest stored copy of
+    // `session`, or to an empty one when it is not stored (new, or deleted meanwhile)
+    async appendTurn(session, { messages, transcript }) {
+        return this.withLock(session.userId, session.id, async () => {
+            const stored = (await this.store.get(session.userId, session.id)) || { ...session, messages: [], transcript: [] };
+            if (stored.userId !== session.userId) throw new Error(`Session ${session.id} belongs to another user`);
+            stored.messages.push(...messages);
+            stored.transcript.push(...transcript);
+            return this.saveSession(stored);
+        });
+    }
+
+    async saveSession(session) {
+        session.updatedAt = new Date().toISOString();
+        if (!session.title) {
+            const firstQuestion = session.transcript.find(entry => entry.role === "user");
+            if (firstQuestion) session.title = firstQuestion.content.slice(0, 60);
+        }
+        session.messages = session.messages.slice(-MAX_HISTORY_MESSAGES);
+        session.transcript = session.transcript.slice(-MAX_TRANSCRIPT_ENTRIES);
+        await this.store.save(session);
+        return session;
+    }
+
+    async listSessions(userId = null) {
+        const sessions = (await this.store.list())
+            .filter(session => !this.isExpired(session) && (!userId || session.userId === userId));
+        return sessions
+            .map(session => ({
+                id: session.id,
+                title: session.title,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt,
+                messageCount: session.transcript.length,
+            }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async renameSession(id, title, userId = null) {
+        return this.withLock(userId, id, async () => {
+            const session = await this.getSession(id, userId);
+            if (!session) return null;
+            session.title = title;
+            return this.saveSession(session);
+        });
+    }
+
+    async deleteSession(id, userId = null) {
+        return this.withLock(userId, id, async () => {
+            if (!(await this.getSession(id, userId))) return false;
+            return this.store.delete(userId, id);
+        });
+    }
+
+    async purgeExpired() {
+        const now = Date.now();
+        let purged = 0;
+        for (const session of await this.store.list()) {
+            if (this.isExpired(session, now)) {
+                await this.store.delete(session.userId, session.id);
+                purged++;
+            }
+        }
+        if (purged > 0) console.log(`Purged ${purged} expired sessions`);
+        return purged;
+    }
+}
+
+module.exports = new ConversationService();
+module.exports.MemoryConversationStore = MemoryConversationStore;
+module.exports.FileConversationStore = FileConversationStore;
+module.exports.SqliteConversationStore = SqliteConversationStore;
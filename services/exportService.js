@@ -0,0 +1,176 @@
+const ExcelJS = require("exceljs");
+
+const NUMERIC_TYPES = new Set(["tinyint", "smallint", "integer", "bigint", "real", "double", "decimal"]);
+
+// Collapses Trino types such as "decimal(18,2)" or "timestamp(3) with time zone" to a value kind
+function valueKind(type) {
+    const base = String(type || "").toLowerCase().replace(/\(.*$/, "").trim();
+    if (NUMERIC_TYPES.has(base)) return "number";
+    if (base === "boolean") return "boolean";
+    if (base === "date") return "date";
+    if (base === "timestamp") return "timestamp";
+    if (base === "array" || base === "map" || base === "row" || base === "json") return "json";
+    return "string";
+}
+
+// Trino sends decimals and some bigints as strings; typed formats get real numbers
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+function toCsvField(value) {
+    if (value === null || value === undefined) return "";
+    let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    // A leading ' keeps a formula-like cell as text; negative numbers are left alone
+    if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Dates and zone-less timestamps become Excel dates; anything else stays text
+function toExcelDate(value, kind) {
+    const text = String(value);
+    const iso = kind === "date" ? `${text}T00:00:00Z` : `${text.replace(" ", "T")}Z`;
+    const date = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2}(\.\d+)?)?$/.test(text) ? new Date(iso) : null;
+    return date && !isNaN(date) ? date : text;
+}
+
+// Resolves once the stream can take more data, so a slow client throttles the query
+function writeChunk(stream, text) {
+    if (stream.write(text)) return Promise.resolve();
+    return new Promise((resolve) => {
+        const done = () => {
+            stream.off("drain", done);
+            stream.off("close", done);
+            resolve();
+        };
+        stream.on("drain", done);
+        stream.on("close", done);
+    });
+}
+
+class CsvWriter {
+    constructor(stream) {
+        this.stream = stream;
+    }
+
+    start(columns) {
+        this.stream.write(columns.map(toCsvField).join(",") + "\r\n");
+    }
+
+    write(rows) {
+        return writeChunk(this.stream, rows.map(row => row.map(toCsvField).join(",") + "\r\n").join(""));
+    }
+
+    async end() {
+        this.stream.end();
+    }
+}
+
+class NdjsonWriter {
+    constructor(stream) {
+        this.stream = stream;
+    }
+
+    start(columns, columnTypes) {
+        this.columns = columns;
+        this.kinds = columns.map((c, i) => valueKind(columnTypes[i]));
+    }
+
+    write(rows) {
+        const lines = rows.map((row) => {
+            const record = {};
+            this.columns.forEach((column, i) => {
+                const value = row[i];
+                record[column] = value !== null && this.kinds[i] === "number" ? toNumber(value) : value;
+            });
+            return JSON.stringify(record) + "\n";
+        });
+        return writeChunk(this.stream, lines.join(""));
+    }
+
+    async end() {
+        this.stream.end();
+    }
+}
+
+// Rows are committed as they arrive, so the workbook is never held in memory
+class XlsxWriter {
+    constructor(stream) {
+        this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+        this.sheet = this.workbook.addWorksheet("Result");
+    }
+
+    start(columns, columnTypes) {
+        this.kinds = columns.map((c, i) => valueKind(columnTypes[i]));
+        this.sheet.columns = columns.map((column, i) => ({
+            header: column,
+            key: String(i),
+            width: Math.min(50, Math.max(12, String(column).length + 2)),
+            style: this.kinds[i] === "date" ? { numFmt: "yyyy-mm-dd" }
+                : this.kinds[i] === "timestamp" ? { numFmt: "yyyy-mm-dd hh:mm:ss" } : {},
+        }));
+        this.sheet.getRow(1).font = { bold: true };
+        this.sheet.getRow(1).commit();
+    }
+
+    write(rows) {
+        for (const row of rows) {
+            this.sheet.addRow(row.map((value, i) => {
+                if (value === null || value === undefined) return null;
+                switch (this.kinds[i]) {
+                    case "number": return toNumber(value);
+                    case "date":
+                    case "timestamp": return toExcelDate(value, this.kinds[i]);
+                    case "json": return JSON.stringify(value);
+                    default: return value;
+                }
+            })).commit();
+        }
+    }
+
+    // The notice gets a sheet of its own so the Result sheet holds nothing but data
+    async end(notice = null) {
+        this.sheet.commit();
+        if (notice) {
+            const notes = this.workbook.addWorksheet("Notes");
+            notes.columns = [{ width: 80 }];
+            notes.addRow([notice]).commit();
+            notes.commit();
+        }
+        await this.workbook.commit();
+    }
+}
+
+const FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv", Writer: CsvWriter },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson", Writer: NdjsonWriter },
+    xlsx: {
+        contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        extension: "xlsx",
+        Writer: XlsxWriter,
+    },
+};
+
+class ExportService {
+    isSupportedFormat(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+
+    getFormat(format) {
+        return FORMATS[format];
+    }
+
+    // Writers receive start(columns, columnTypes), then write(rows) per batch (which may
+    // return a promise to wait on), then end(notice). Only XLSX has room for the notice, on a
+    // separate sheet; CSV and NDJSON carry nothing but rows and ignore it
+    createWriter(format, stream) {
+        return new FORMATS[format].Writer(stream);
+    }
+}
+
+module.exports = new ExportService();
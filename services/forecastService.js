@@ -0,0 +1,427 @@
+// Deterministic time-series forecasting: linear trend, additive Holt-Winters and
+// a seasonal naive baseline. The best in-sample fit is used for the forecast.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+const SEASON_LENGTHS = { day: 7, week: null, month: 12 };
+
+const MAX_SERIES = 50;
+
+// "date", "order_date"; not "last_updated" or "date_format"
+const DATE_NAME = /(^|_)date$/i;
+// Numeric ids label rows; summing or forecasting them means nothing
+const ID_NAME = /(^id$|_id$)/i;
+
+const HW_ALPHAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const HW_BETAS = [0.01, 0.05, 0.1, 0.2, 0.3];
+const HW_GAMMAS = [0.05, 0.1, 0.3, 0.5];
+
+function parseDate(value) {
+    if (value instanceof Date) return Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?/.exec(String(value ?? ""));
+    if (!match) return null;
+    return Date.UTC(Number(match[1]), Number(match[2]) - 1, match[3] ? Number(match[3]) : 1);
+}
+
+// Stricter than parseFloat, which would read ids like "1b4e28ba-..." as 1
+function isNumericValue(value) {
+    if (typeof value === "number") return Number.isFinite(value);
+    return typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value));
+}
+
+function formatDate(ms) {
+    return new Date(ms).toISOString().split("T")[0];
+}
+
+function addPeriods(ms, granularity, count) {
+    if (granularity === "month") {
+        const date = new Date(ms);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + count;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay));
+    }
+    return ms + count * (granularity === "week" ? 7 : 1) * DAY_MS;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function rms(values) {
+    return values.length ? Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length) : 0;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ---- models ----
+// Each model returns { method, rmse, predict(h) -> { value, se } } or null when it cannot be fit.
+
+function fitLinear(y) {
+    const n = y.length;
+    if (n < 3) return null;
+
+    const tMean = (n - 1) / 2;
+    const yMean = mean(y);
+    let sxx = 0;
+    let sxy = 0;
+    for (let t = 0; t < n; t++) {
+        sxx += (t - tMean) ** 2;
+        sxy += (t - tMean) * (y[t] - yMean);
+    }
+    const slope = sxy / sxx;
+    const intercept = yMean - slope * tMean;
+    const residuals = y.map((v, t) => v - (intercept + slope * t));
+    const sigma = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / Math.max(n - 2, 1));
+
+    return {
+        method: "linear_trend",
+        rmse: rms(residuals),
+        params: { slope, intercept },
+        predict(h) {
+            const t = n - 1 + h;
+            return { value: intercept + slope * t, se: sigma * Math.sqrt(1 + 1 / n + (t - tMean) ** 2 / sxx) };
+        },
+    };
+}
+
+function runHoltWinters(y, m, alpha, beta, gamma) {
+    let level = mean(y.slice(0, m));
+    let trend = y.length >= 2 * m ? (mean(y.slice(m, 2 * m)) - level) / m : 0;
+    const season = y.slice(0, m).map(v => v - level);
+    const errors = [];
+
+    for (let t = m; t < y.length; t++) {
+        const s = season[t % m];
+        errors.push(y[t] - (level + trend + s));
+        const previousLevel = level;
+        level = alpha * (y[t] - s) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        season[t % m] = gamma * (y[t] - level) + (1 - gamma) * s;
+    }
+    return { level, trend, season, errors };
+}
+
+function fitHoltWinters(y, m) {
+    if (!m || y.length < 2 * m + 2) return null;
+
+    let best = null;
+    for (const alpha of HW_ALPHAS) {
+        for (const beta of HW_BETAS) {
+            for (const gamma of HW_GAMMAS) {
+                const state = runHoltWinters(y, m, alpha, beta, gamma);
+                const sse = state.errors.reduce((sum, e) => sum + e * e, 0);
+                if (!best || sse < best.sse) best = { sse, alpha, beta, gamma, state };
+            }
+        }
+    }
+
+    const { alpha, beta, gamma, state } = best;
+    const sigma = rms(state.errors);
+    const n = y.length;
+
+    return {
+        method: "holt_winters",
+        rmse: sigma,
+        params: { alpha, beta, gamma, seasonLength: m },
+        predict(h) {
+            // Variance of the h-step error for additive Holt-Winters
+            let variance = 1;
+            for (let j = 1; j < h; j++) {
+                variance += (alpha * (1 + j * beta) + (j % m === 0 ? gamma : 0)) ** 2;
+            }
+            return {
+                value: state.level + h * state.trend + state.season[(n - 1 + h) % m],
+                se: sigma * Math.sqrt(variance),
+            };
+        },
+    };
+}
+
+function fitSeasonalNaive(y, m) {
+    const period = m || 1;
+    if (y.length < period + 2) return null;
+
+    const errors = [];
+    for (let t = period; t < y.length; t++) errors.push(y[t] - y[t - period]);
+    const sigma = rms(errors);
+    const n = y.length;
+
+    return {
+        method: period > 1 ? "seasonal_naive" : "naive",
+        rmse: sigma,
+        params: { seasonLength: period },
+        predict(h) {
+            const cycles = Math.floor((h - 1) / period) + 1;
+            return { value: y[n - period + ((h - 1) % period)], se: sigma * Math.sqrt(cycles) };
+        },
+    };
+}
+
+// MAPE skips periods whose actual value is zero; bias is the mean of (forecast - actual)
+function scoreErrors(actual, predicted) {
+    const errors = predicted.map((p, i) => p - actual[i]);
+    const percentage = errors
+        .map((e, i) => (actual[i] !== 0 ? Math.abs(e / actual[i]) : null))
+        .filter(v => v !== null);
+    return {
+        mape: percentage.length ? round(mean(percentage) * 100) : null,
+        mae: round(mean(errors.map(Math.abs))),
+        bias: round(mean(errors)),
+        points: errors.length,
+    };
+}
+
+class ForecastService {
+    // Picks the date column, the numeric metric columns and the remaining dimension columns.
+    // `valueColumnIndex` is the first metric, for single-series callers.
+    detectColumns(columns, rows) {
+        const holdsDates = i => rows.length > 0 && rows.every(row => row[i] === null || parseDate(row[i]) !== null);
+        let dateColumnIndex = columns.findIndex((c, i) => DATE_NAME.test(c) && holdsDates(i));
+        if (dateColumnIndex === -1) {
+            dateColumnIndex = columns.findIndex((c, i) => holdsDates(i));
+        }
+
+        const metricColumnIndexes = [];
+        const dimensionColumnIndexes = [];
+        columns.forEach((c, i) => {
+            if (i === dateColumnIndex) return;
+            const isNumeric = !ID_NAME.test(c) && rows.some(row => row[i] !== null) &&
+                rows.every(row => row[i] === null || row[i] === "" || isNumericValue(row[i]));
+            if (isNumeric) metricColumnIndexes.push(i);
+            else dimensionColumnIndexes.push(i);
+        });
+
+        return {
+            dateColumnIndex,
+            valueColumnIndex: metricColumnIndexes.length ? metricColumnIndexes[0] : -1,
+            metricColumnIndexes,
+            dimensionColumnIndexes,
+        };
+    }
+
+    // Sorts by date and sums duplicate dates so the series has one value per period
+    buildSeries(rows, dateColumnIndex, valueColumnIndex) {
+        const totals = new Map();
+        for (const row of rows) {
+            const time = parseDate(row[dateColumnIndex]);
+            const value = parseFloat(row[valueColumnIndex]);
+            if (time === null || isNaN(value)) continue;
+            totals.set(time, (totals.get(time) || 0) + value);
+        }
+        const times = [...totals.keys()].sort((a, b) => a - b);
+        return { times, values: times.map(t => totals.get(t)) };
+    }
+
+    detectGranularity(times) {
+        if (times.length < 2) return "day";
+        const gaps = [];
+        for (let i = 1; i < times.length; i++) gaps.push((times[i] - times[i - 1]) / DAY_MS);
+        const gap = median(gaps);
+        if (gap <= 1.5) return "day";
+        if (gap <= 10) return "week";
+        return "month";
+    }
+
+    fitModels(values, granularity) {
+        const seasonLength = SEASON_LENGTHS[granularity];
+        return [
+            fitLinear(values),
+            fitHoltWinters(values, seasonLength),
+            fitSeasonalNaive(values, seasonLength),
+        ].filter(Boolean);
+    }
+
+    fitMethod(method, values, granularity) {
+        return this.fitModels(values, granularity).find(model => model.method === method) || null;
+    }
+
+    // Refits `method` without the last `holdout` points and returns its forecasts for them
+    holdoutPredictions(method, values, granularity, holdout, nonNegative) {
+        if (holdout < 1 || values.length - holdout < 3) return null;
+        const model = this.fitMethod(method, values.slice(0, values.length - holdout), granularity);
+        if (!model) return null;
+        const predicted = [];
+        for (let h = 1; h <= holdout; h++) {
+            const { value } = model.predict(h);
+            predicted.push(nonNegative ? Math.max(0, value) : value);
+        }
+        return predicted;
+    }
+
+    selectModel(models) {
+        return models.reduce((best, model) => (!best || model.rmse < best.rmse ? model : best), null);
+    }
+
+    predict(model, lastTime, granularity, periods, z, nonNegative) {
+        const predictions = [];
+        for (let h = 1; h <= periods; h++) {
+            const { value, se } = model.predict(h);
+            const clamp = v => (nonNegative ? Math.max(0, v) : v);
+            predictions.push({
+                date: formatDate(addPeriods(lastTime, granularity, h)),
+                value: round(clamp(value)),
+                lower: round(clamp(value - z * se)),
+                upper: round(clamp(value + z * se)),
+            });
+        }
+        return predictions;
+    }
+
+    // Forecasts one series; `times` must be sorted and `values` aligned with them
+    forecastSeries(times, values, periods, granularity, confidenceLevel) {
+        if (values.length < 3) {
+            return { success: false, message: "At least 3 historical data points are needed to forecast." };
+        }
+
+        const models = this.fitModels(values, granularity);
+        const model = this.selectModel(models);
+        const nonNegative = values.every(v => v >= 0);
+
+        // Hold out the tail of the history and score the chosen method on it
+        const holdout = Math.min(periods, Math.max(1, Math.floor(values.length * 0.2)));
+        const heldOut = this.holdoutPredictions(model.method, values, granularity, holdout, nonNegative);
+        const accuracy = heldOut
+            ? { method: model.method, holdout, ...scoreErrors(values.slice(-holdout), heldOut) }
+            : null;
+
+        return {
+            success: true,
+            method: model.method,
+            params: model.params,
+            historyPoints: values.length,
+            lastActual: { date: formatDate(times[times.length - 1]), value: round(values[values.length - 1]) },
+            candidates: models.map(m => ({ method: m.method, rmse: round(m.rmse) })),
+            accuracy,
+            predictions: this.predict(model, times[times.length - 1], granularity, periods, Z_SCORES[confidenceLevel], nonNegative),
+        };
+    }
+
+    // Splits rows into one group per distinct combination of dimension values
+    groupRows(rows, dimensionColumnIndexes) {
+        const groups = new Map();
+        for (const row of rows) {
+            const values = dimensionColumnIndexes.map(i => row[i]);
+            const key = JSON.stringify(values);
+            if (!groups.has(key)) groups.set(key, { values, rows: [] });
+            groups.get(key).rows.push(row);
+        }
+        return [...groups.values()];
+    }
+
+    // Forecasts every metric column for every group of dimension columns. A result with
+    // a single metric and no dimensions keeps the plain "Forecast" column name.
+    forecast(columns, rows, periods = 30, options = {}) {
+        const confidenceLevel = Z_SCORES[options.confidenceLevel] ? options.confidenceLevel : 0.95;
+        const { dateColumnIndex, metricColumnIndexes, dimensionColumnIndexes } = this.detectColumns(columns, rows);
+        if (dateColumnIndex === -1 || metricColumnIndexes.length === 0) {
+            return { success: false, message: "Cannot identify date and value columns for forecasting." };
+        }
+
+        const allTimes = [...new Set(rows.map(row => parseDate(row[dateColumnIndex])).filter(t => t !== null))].sort((a, b) => a - b);
+        const granularity = options.granularity || this.detectGranularity(allTimes);
+        const single = metricColumnIndexes.length === 1 && dimensionColumnIndexes.length === 0;
+
+        // Largest groups first, so the cap drops the long tail
+        const firstMetric = metricColumnIndexes[0];
+        const groups = this.groupRows(rows, dimensionColumnIndexes)
+            .map(group => ({ ...group, total: group.rows.reduce((sum, row) => sum + (parseFloat(row[firstMetric]) || 0), 0) }))
+            .sort((a, b) => b.total - a.total);
+        const maxSeries = options.maxSeries || MAX_SERIES;
+        const maxGroups = Math.max(1, Math.floor(maxSeries / metricColumnIndexes.length));
+
+        const series = [];
+        for (const group of groups.slice(0, maxGroups)) {
+            const key = {};
+            dimensionColumnIndexes.forEach((columnIndex, i) => { key[columns[columnIndex]] = group.values[i]; });
+
+            for (const metricIndex of metricColumnIndexes) {
+                const metric = columns[metricIndex];
+                const { times, values } = this.buildSeries(group.rows, dateColumnIndex, metricIndex);
+                series.push({
+                    key,
+                    groupValues: group.values,
+                    label: [...group.values.map(String), metric].join(" · "),
+                    metric,
+                    metricColumnIndex: metricIndex,
+                    forecastColumn: single ? "Forecast" : `${metric} Forecast`,
+                    ...this.forecastSeries(times, values, periods, granularity, confidenceLevel),
+                });
+            }
+        }
+
+        const forecasted = series.filter(s => s.success);
+        if (forecasted.length === 0) {
+            return { success: false, message: series[0]?.message || "Not enough data to forecast." };
+        }
+
+        return {
+            success: true,
+            granularity,
+            confidenceLevel,
+            dateColumn: columns[dateColumnIndex],
+            dateColumnIndex,
+            metricColumns: metricColumnIndexes.map(i => columns[i]),
+            dimensionColumns: dimensionColumnIndexes.map(i => columns[i]),
+            dimensionColumnIndexes,
+            truncatedGroups: Math.max(0, groups.length - maxGroups),
+            series,
+        };
+    }
+
+    // Rolling-origin backtest of every model for each horizon. Each fold moves the
+    // forecast origin back by one horizon; errors are pooled across folds.
+    backtest(columns, rows, horizons = [7, 14, 30], options = {}) {
+        const folds = options.folds || 3;
+        const { dateColumnIndex, valueColumnIndex } = this.detectColumns(columns, rows);
+        if (dateColumnIndex === -1 || valueColumnIndex === -1) {
+            return { success: false, message: "Cannot identify date and value columns for backtesting." };
+        }
+
+        const { times, values } = this.buildSeries(rows, dateColumnIndex, valueColumnIndex);
+        const granularity = options.granularity || this.detectGranularity(times);
+        const nonNegative = values.every(v => v >= 0);
+        const methods = [...new Set(this.fitModels(values, granularity).map(m => m.method))];
+
+        const results = horizons.map((horizon) => {
+            const scores = methods.map((method) => {
+                const actual = [];
+                const predicted = [];
+                let foldCount = 0;
+                for (let fold = 0; fold < folds; fold++) {
+                    const end = values.length - fold * horizon;
+                    const fitted = this.holdoutPredictions(method, values.slice(0, end), granularity, horizon, nonNegative);
+                    if (!fitted) break;
+                    actual.push(...values.slice(end - horizon, end));
+                    predicted.push(...fitted);
+                    foldCount++;
+                }
+                return foldCount > 0 ? { method, folds: foldCount, ...scoreErrors(actual, predicted) } : null;
+            }).filter(Boolean);
+
+            const best = scores.reduce((b, score) => (!b || score.mae < b.mae ? score : b), null);
+            return { horizon, methods: scores, bestMethod: best ? best.method : null };
+        });
+
+        return {
+            success: true,
+            granularity,
+            dateColumn: columns[dateColumnIndex],
+            valueColumn: columns[valueColumnIndex],
+            historyPoints: values.length,
+            horizons: results,
+        };
+    }
+}
+
+module.exports = new ForecastService();
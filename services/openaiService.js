@@ -1,6 +1,36 @@
 const OpenAI = require("openai");
 const fs = require("fs");
 const path = require("path");
+const tableAccessService = require("./tableAccessService");
+const columnPolicyService = require("./columnPolicyService");
+const schemaRetrievalService = require("./schemaRetrievalService");
+
+// Which table answers which kind of question; shown in the prompt and indexed for retrieval
+const TABLE_GUIDES = [
+    { table: "mv_ads_sales_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For SALES data (net_sale, gross_sale, units)" },
+    { table: "mv_ads_ad_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For AD PERFORMANCE by product (ads_impression, ads_click, ads_spend)" },
+    { table: "mv_ads_cst_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For AD PERFORMANCE by campaign/targeting" },
+    { table: "mv_ads_placement_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For PLACEMENT analysis" },
+    { table: "mv_ads_keyword_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For KEYWORD analysis" },
+    { table: "t_master_brand_campaign", catalog: "database.global", hint: "For CAMPAIGN list/details" },
+    { table: "v_master_campaign", catalog: "database.global", hint: "For CAMPAIGN view" },
+    { table: "t_master_brand", catalog: "database.global", hint: "For BRAND lookup" },
+    { table: "t_master_platform", catalog: "database.global", hint: "For PLATFORM lookup" },
+    { table: "t_master_brand_product", catalog: "database.global", hint: "For PRODUCT mapping" },
+    { table: "v_master_product", catalog: "database.global", hint: "For PRODUCT view" },
+    { table: "t_master_brand_targeting", catalog: "database.global", hint: "For TARGETING data" },
+    { table: "t_master_brand_category", catalog: "database.global", hint: "For CATEGORY mapping" },
+    { table: "t_master_brand_sub_category", catalog: "database.global", hint: "For SUB-CATEGORY mapping" }
+];
+
+// Profile statistics from scripts/generateKnowledgeBase.js, e.g. " [3% null, ~120 distinct, 2024-01-01 to 2026-10-12]"
+function formatColumnProfile(profile) {
+    const parts = [];
+    if (profile.nullRatio > 0) parts.push(`${Math.round(profile.nullRatio * 100)}% null`);
+    if (profile.approxDistinct !== undefined && !profile.topValues) parts.push(`~${profile.approxDistinct} distinct`);
+    if (profile.min !== undefined && profile.min !== null) parts.push(`${profile.min} to ${profile.max}`);
+    return parts.length > 0 ? ` [${parts.join(", ")}]` : "";
+}
 
 class OpenAIService {
     constructor() {
@@ -30,53 +60,74 @@ class OpenAIService {
     }
 
     loadTableAccess() {
-        try {
-            const taPath = path.join(__dirname, "..", "tableAccess.json");
-            const taContent = fs.readFileSync(taPath, "utf-8");
-            this.tableAccess = JSON.parse(taContent);
-            console.log("Table access config loaded successfully");
-        } catch (error) {
-            console.warn("Could not load table access config:", error.message);
-            this.tableAccess = null;
-        }
+        this.tableAccess = tableAccessService.getConfig();
     }
 
-    formatKnowledgeBaseForPrompt() {
-        if (!this.knowledgeBase) return "";
-
-        // Get table access configuration from separate file
+    // Every knowledge-base table with its tableAccess.json entry and access status
+    collectTables() {
         const tableAccess = this.tableAccess || {};
-
-        let kb = "\n\n=== KNOWLEDGE BASE (FULL SCHEMA WITH ACCESS STATUS) ===\n";
-
-        // Collect all tables with their access status
         const allTables = [];
-        let accessibleCount = 0;
-        let inaccessibleCount = 0;
+        for (const [catalogName, catalogInfo] of Object.entries(this.knowledgeBase?.catalogs || {})) {
+            const catalogAccess = tableAccess[catalogName] || {};
+
+            for (const [tableName, tableInfo] of Object.entries(catalogInfo.tables || {})) {
+                const tableConfig = catalogAccess[tableName];
+                allTables.push({
+                    catalogName,
+                    tableName,
+                    tableInfo,
+                    tableConfig,
+                    isEnabled: tableConfig ? tableConfig.enabled !== false : true,
+                    fullName: `${catalogName}.${tableName}`
+                });
+            }
+        }
+        return allTables;
+    }
 
-        if (this.knowledgeBase.catalogs) {
-            for (const [catalogName, catalogInfo] of Object.entries(this.knowledgeBase.catalogs)) {
-                const catalogAccess = tableAccess[catalogName] || {};
-
-                for (const [tableName, tableInfo] of Object.entries(catalogInfo.tables || {})) {
-                    const tableConfig = catalogAccess[tableName];
-                    const isEnabled = tableConfig ? tableConfig.enabled !== false : true;
-
-                    if (isEnabled) accessibleCount++;
-                    else inaccessibleCount++;
-
-                    allTables.push({
-                        catalogName,
-                        tableName,
-                        tableInfo,
-                        tableConfig,
-                        isEnabled,
-                        fullName: `${catalogName}.${tableName}`
-                    });
-                }
+    // Picks the accessible tables relevant to the question. Tables used by the previous
+    // query stay in, so follow-ups like "now split it by platform" keep their context.
+    selectSchema(userMessage, conversationHistory = []) {
+        const tables = this.collectTables()
+            .filter(t => t.isEnabled)
+            .map(t => ({
+                ...t,
+                description: t.tableConfig?.description,
+                hint: TABLE_GUIDES.find(g => g.table === t.tableName && g.catalog === t.catalogName)?.hint,
+            }));
+
+        const pinned = [];
+        const lastQuery = [...conversationHistory].reverse().find(m => m.role === "assistant" && m.content?.startsWith("{"));
+        if (lastQuery) {
+            try {
+                const { sql } = JSON.parse(lastQuery.content);
+                for (const [name] of String(sql || "").toLowerCase().matchAll(/\b\w+\.\w+\.\w+\b/g)) pinned.push(name);
+            } catch (error) {
+                // Not a query turn
             }
         }
 
+        return schemaRetrievalService.select({
+            question: userMessage,
+            tables,
+            synonyms: this.knowledgeBase?.synonyms,
+            pinned,
+            // The index is rebuilt whenever either file is reloaded
+            cacheKey: [this.knowledgeBase, this.tableAccess],
+        });
+    }
+
+    // `selection` (a Set of full table names) limits column details and table guides to
+    // those tables; every table name is still listed so missing access can be explained.
+    formatKnowledgeBaseForPrompt(selection = null) {
+        if (!this.knowledgeBase) return "";
+
+        let kb = "\n\n=== KNOWLEDGE BASE (FULL SCHEMA WITH ACCESS STATUS) ===\n";
+
+        const allTables = this.collectTables();
+        const accessibleCount = allTables.filter(t => t.isEnabled).length;
+        const inaccessibleCount = allTables.length - accessibleCount;
+
         // Summary of access
         kb += `\n## ACCESS SUMMARY:\n`;
         kb += `- ACCESSIBLE tables: ${accessibleCount} (you CAN query these)\n`;
@@ -97,18 +148,32 @@ class OpenAIService {
             for (const { tableName, tableInfo, tableConfig, isEnabled, fullName } of tables) {
                 const accessMarker = isEnabled ? "[ACCESSIBLE]" : "[NO ACCESS]";
                 const tableDesc = tableConfig?.description || tableInfo.description || "";
-                kb += `\n${accessMarker} **${fullName}** - ${tableDesc}\n`;
+                const rowCount = isEnabled && tableInfo.profile?.rowCount !== undefined
+                    ? ` (${tableInfo.profile.rowCount} rows as of ${tableInfo.profile.profiledAt})`
+                    : "";
+                kb += `\n${accessMarker} **${fullName}** - ${tableDesc}${rowCount}\n`;
 
                 // Only show column details for accessible tables (to keep prompt shorter)
-                if (isEnabled) {
+                if (isEnabled && (!selection || selection.has(fullName))) {
                     const columns = tableInfo.columns || {};
-                    const columnList = Object.entries(columns).map(([colName, colInfo]) => {
-                        let colDesc = `  - ${colName} (${colInfo.type})`;
-                        if (colInfo.knownValues && colInfo.knownValues.length > 0) {
-                            colDesc += ` [Values: ${colInfo.knownValues.slice(0, 5).join(", ")}...]`;
-                        }
-                        return colDesc;
-                    }).join("\n");
+                    const columnRules = columnPolicyService.getColumnRules(fullName);
+                    const columnList = Object.entries(columns)
+                        .filter(([colName]) => columnRules[colName.toLowerCase()]?.rule !== "deny")
+                        .map(([colName, colInfo]) => {
+                            let colDesc = `  - ${colName} (${colInfo.type})`;
+                            // Statistics and values of masked columns would reveal what the mask hides
+                            if (columnRules[colName.toLowerCase()]) {
+                                return colDesc + ` [MASKED - select as-is, do not transform or alias]`;
+                            }
+                            if (colInfo.profile) {
+                                colDesc += formatColumnProfile(colInfo.profile);
+                            }
+                            if (colInfo.knownValues && colInfo.knownValues.length > 0) {
+                                const more = colInfo.knownValues.length > 10 ? "..." : "";
+                                colDesc += ` [Values: ${colInfo.knownValues.slice(0, 10).join(", ")}${more}]`;
+                            }
+                            return colDesc;
+                        }).join("\n");
                     kb += columnList + "\n";
                 }
             }
@@ -118,6 +183,10 @@ class OpenAIService {
         kb += `- ONLY query tables marked [ACCESSIBLE]\n`;
         kb += `- For [NO ACCESS] tables: Tell user "To get this data, please enable the [table_name] table in tableAccess.json"\n`;
         kb += `- NEVER invent table names - only use tables listed above\n`;
+        kb += `- Date ranges next to columns show the data coverage as of profiling; if asked about dates outside it, say where the data ends\n`;
+        if (selection) {
+            kb += `- Columns are listed only for the tables relevant to this question; build the query from those tables\n`;
+        }
 
         // Add fuzzy matching guide for category values
         kb += "\n## CATEGORY/SUBCATEGORY MATCHING GUIDE:\n";
@@ -164,29 +233,13 @@ class OpenAIService {
         kb += "\n## TABLE SELECTION GUIDE:\n";
         kb += "(Only use tables that are listed above in ACCESSIBLE TABLES)\n";
 
-        const tableGuides = [
-            { table: "mv_ads_sales_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For SALES data (net_sale, gross_sale, units)" },
-            { table: "mv_ads_ad_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For AD PERFORMANCE by product (ads_impression, ads_click, ads_spend)" },
-            { table: "mv_ads_cst_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For AD PERFORMANCE by campaign/targeting" },
-            { table: "mv_ads_placement_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For PLACEMENT analysis" },
-            { table: "mv_ads_keyword_analysis", catalog: "lakehouse.ap_south1_gold", hint: "For KEYWORD analysis" },
-            { table: "t_master_brand_campaign", catalog: "database.global", hint: "For CAMPAIGN list/details" },
-            { table: "v_master_campaign", catalog: "database.global", hint: "For CAMPAIGN view" },
-            { table: "t_master_brand", catalog: "database.global", hint: "For BRAND lookup" },
-            { table: "t_master_platform", catalog: "database.global", hint: "For PLATFORM lookup" },
-            { table: "t_master_brand_product", catalog: "database.global", hint: "For PRODUCT mapping" },
-            { table: "v_master_product", catalog: "database.global", hint: "For PRODUCT view" },
-            { table: "t_master_brand_targeting", catalog: "database.global", hint: "For TARGETING data" },
-            { table: "t_master_brand_category", catalog: "database.global", hint: "For CATEGORY mapping" },
-            { table: "t_master_brand_sub_category", catalog: "database.global", hint: "For SUB-CATEGORY mapping" }
-        ];
 
-        for (const guide of tableGuides) {
-            const catalogAccess = tableAccess[guide.catalog] || {};
-            const tableConfig = catalogAccess[guide.table];
+        for (const guide of TABLE_GUIDES) {
+            const fullName = `${guide.catalog}.${guide.table}`;
+            const tableConfig = (this.tableAccess || {})[guide.catalog]?.[guide.table];
             const isEnabled = tableConfig ? tableConfig.enabled !== false : true;
 
-            if (isEnabled) {
+            if (isEnabled && (!selection || selection.has(fullName))) {
                 kb += `- ${guide.hint}: Use ${guide.catalog}.${guide.table}\n`;
             }
         }
@@ -212,14 +265,19 @@ class OpenAIService {
         // RELOAD TABLE ACCESS CONFIGURATION HOT
         this.loadTableAccess();
 
-        const knowledgeBaseContext = this.formatKnowledgeBaseForPrompt();
+        const schemaSelection = this.selectSchema(userMessage, conversationHistory);
+        const knowledgeBaseContext = this.formatKnowledgeBaseForPrompt(
+            schemaSelection.mode === "retrieval" ? new Set(schemaSelection.tables.map(t => t.table)) : null
+        );
         const catalogsInfo = this.trinoService.getCatalogsInfo();
         const catalogsList = catalogsInfo.map(c => `${c.catalog}.${c.schema}`).join(', ');
         const currentDate = new Date().toISOString().split('T')[0];
 
         let brandContext = "";
         if (selectedBrand) {
-            brandContext = `\n\nCRITICAL BRAND FILTERING ENFORCED:\nThe user has SELECTED the brand: "${selectedBrand}".\n\nRULES YOU MUST FOLLOW:\n1. You MUST limit ALL data to "${selectedBrand}".\n2. For every query, you MUST add a WHERE clause to filter by this brand.\n3. If querying a dimension table (like category, product, campaign), you MUST JOIN it with 'database.global.t_master_brand' (or equivalent) to filter by brand_name = '${selectedBrand}'.\n4. NEVER list all categories/products/campaigns globally - only list those associated with "${selectedBrand}".\n5. If the user asks for "all categories", they mean "all categories for ${selectedBrand}".`;
+            // The brand filter itself is enforced server-side; the prompt only needs to know the scope
+            const brandLiteral = JSON.stringify(String(selectedBrand).replace(/[\r\n]+/g, " "));
+            brandContext = `\n\nBRAND SCOPE:\nThe user has SELECTED the brand ${brandLiteral}.\n1. The server automatically restricts every table to this brand, so do NOT add brand filters or joins to t_master_brand for it.\n2. If the user asks for "all categories", "all products" or "all campaigns", they mean those of this brand.`;
         }
 
         const systemPrompt = `You are a SQL expert assistant that helps users query a Trino database. 
@@ -327,7 +385,7 @@ ${knowledgeBaseContext}
 
 RESPONSE FORMAT - YOU MUST RESPOND WITH ONLY VALID JSON:
 - For queries: {"type": "query", "sql": "YOUR SQL HERE", "explanation": "Brief explanation"}
-- For forecasts: {"type": "forecast", "sql": "SQL TO FETCH HISTORICAL DATA", "explanation": "Brief explanation", "forecast_period": "30"}. Set forecast_period to number of future data points needed (e.g., 30 for a month, 90 for a quarter).
+- For forecasts: {"type": "forecast", "sql": "SQL TO FETCH HISTORICAL DATA", "explanation": "Brief explanation", "forecast_period": "30"}. Set forecast_period to the number of future periods at the granularity of the historical query (e.g., 30 for a month of daily data, 13 for a quarter of weekly data, 3 for a quarter of monthly data). The SQL must return one date column, one or more numeric metric columns (each is forecast separately) and optionally dimension columns such as brand or channel (one series per combination), with exactly one row per date and dimension combination, ordered by date. Keep the number of dimension combinations small (at most 50 series in total), e.g. the top brands only.
 - For text responses: {"type": "text", "message": "Your response"}
 - For errors: {"type": "error", "message": "Error description"}
 - NO markdown code blocks, NO extra text, ONLY the JSON object.`;
@@ -364,10 +422,10 @@ RESPONSE FORMAT - YOU MUST RESPOND WITH ONLY VALID JSON:
                     }
                 }
 
-                return JSON.parse(jsonContent.trim());
+                return { ...JSON.parse(jsonContent.trim()), schemaSelection };
             } catch (parseError) {
                 console.warn("Failed to parse JSON from AI response, treating as text:", parseError);
-                return { type: "text", message: content };
+                return { type: "text", message: content, schemaSelection };
             }
         } catch (error) {
             console.error("OpenAI API error:", error);
@@ -375,20 +433,72 @@ RESPONSE FORMAT - YOU MUST RESPOND WITH ONLY VALID JSON:
         }
     }
 
-    async explainResults(userQuestion, sql, results) {
+    async repairSQL(userQuestion, failedSql, errorMessage) {
+        // Same system prompt and knowledge base as generateSQL, so the fix stays within accessible tables
+        const knowledgeBaseContext = this.formatKnowledgeBaseForPrompt();
+
+        const prompt = `The user asked: "${userQuestion}"
+
+This Trino SQL query failed:
+${failedSql}
+
+Trino returned this error:
+${errorMessage}
+
+Fix the query so it answers the same question. Common causes:
+- master_brand_id / master_platform_id are VARCHAR in lakehouse tables but UUID in database tables: JOIN with CAST(a.master_brand_id AS uuid) = b.master_brand_id instead of comparing them directly or using IN (subquery).
+- Column names that do not exist in the table: use only columns listed in the knowledge base.
+- Only a single SELECT statement, without a trailing semicolon.
+
+RESPOND WITH ONLY VALID JSON: {"sql": "CORRECTED SQL", "explanation": "What was wrong and what changed"}`;
+
+        try {
+            const response = await this.client.chat.completions.create({
+                model: "gpt-4o",
+                messages: [
+                    { role: "system", content: `You are a Trino SQL expert who fixes failing read-only queries.\n${knowledgeBaseContext}` },
+                    { role: "user", content: prompt },
+                ],
+                temperature: 0,
+                max_tokens: 2000,
+            });
+
+            const content = response.choices[0].message.content;
+            let jsonContent = content;
+            const jsonMatch = content.match(/```json\n?([\s\S]*?)\n?```/) || content.match(/```([\s\S]*?)```/);
+            if (jsonMatch) {
+                jsonContent = jsonMatch[1];
+            } else {
+                const firstBrace = content.indexOf('{');
+                const lastBrace = content.lastIndexOf('}');
+                if (firstBrace !== -1 && lastBrace !== -1) {
+                    jsonContent = content.substring(firstBrace, lastBrace + 1);
+                }
+            }
+
+            const repair = JSON.parse(jsonContent.trim());
+            return { sql: repair.sql || null, explanation: repair.explanation || "" };
+        } catch (error) {
+            console.error("Error repairing SQL:", error);
+            return { sql: null, explanation: `Failed to repair query: ${error.message}` };
+        }
+    }
+
+    // When `onToken` is given the summary is streamed and each text delta is passed to it
+    async explainResults(userQuestion, sql, results, onToken = null) {
         const prompt = `The user asked: "${userQuestion}"
     
 The following SQL query was executed:
 ${sql}
 
-The query returned ${results.rows.length} rows with columns: ${results.columns.join(", ")}
+The query returned ${results.truncated ? `more than ${results.rows.length} rows (only the first ${results.rows.length} were fetched)` : `${results.rows.length} rows`} with columns: ${results.columns.join(", ")}
 
 ${results.rows.length > 0 ? `Sample data (first 5 rows):\n${JSON.stringify(results.rows.slice(0, 5), null, 2)}` : "No data was returned."}
 
 Please provide a brief, helpful summary of these results in 1-3 sentences.`;
 
         try {
-            const response = await this.client.chat.completions.create({
+            const request = {
                 model: "gpt-4o-mini",
                 messages: [
                     { role: "system", content: "You are a helpful data analyst. Provide clear, concise summaries of query results." },
@@ -396,8 +506,22 @@ Please provide a brief, helpful summary of these results in 1-3 sentences.`;
                 ],
                 temperature: 0.3,
                 max_tokens: 500,
-            });
+            };
 
+            if (onToken) {
+                const stream = await this.client.chat.completions.create({ ...request, stream: true });
+                let text = "";
+                for await (const part of stream) {
+                    const delta = part.choices[0]?.delta?.content || "";
+                    if (delta) {
+                        text += delta;
+                        onToken(delta);
+                    }
+                }
+                return text;
+            }
+
+            const response = await this.client.chat.completions.create(request);
             return response.choices[0].message.content;
         } catch (error) {
             console.error("Error explaining results:", error);
@@ -405,85 +529,66 @@ Please provide a brief, helpful summary of these results in 1-3 sentences.`;
         }
     }
 
-    async generateForecast(userQuestion, historicalData, forecastPeriod = 30) {
-        // Prepare data summary for OpenAI (limit to prevent token overflow)
-        const columns = historicalData.columns;
-        const rows = historicalData.rows;
-        const dateColIdx = columns.findIndex(c => c.toLowerCase().includes('date'));
-        const valueColIdx = columns.findIndex((c, i) => i !== dateColIdx && rows.length > 0 && !isNaN(parseFloat(rows[0][i])));
-
-        if (dateColIdx === -1 || valueColIdx === -1) {
-            return { success: false, message: "Cannot identify date and value columns for forecasting." };
-        }
-
-        // Get last 30-50 data points for context
-        const recentRows = rows.slice(-50);
-        const dataForAI = recentRows.map(row => ({
-            date: row[dateColIdx],
-            value: parseFloat(row[valueColIdx])
-        })).filter(d => d.date && !isNaN(d.value));
+    // Numbers come from forecastService; the model only writes the narrative around them
+    async describeForecast(userQuestion, forecast) {
+        const series = forecast.series.filter(s => s.success);
+        const interval = `${Math.round(forecast.confidenceLevel * 100)}%`;
+        const describeSeries = (s) => {
+            const first = s.predictions[0];
+            const last = s.predictions[s.predictions.length - 1];
+            return { first, last, total: Math.round(s.predictions.reduce((sum, p) => sum + p.value, 0) * 100) / 100 };
+        };
+        const fallback = {
+            analysis: `Forecast produced for ${series.length} series at ${forecast.granularity} granularity using ${[...new Set(series.map(s => s.method))].join(", ")}.`,
+            summary: series.slice(0, 5).map((s) => {
+                const { first, last } = describeSeries(s);
+                return `${s.label} is projected to move from ${first.value} on ${first.date} to ${last.value} on ${last.date} (${interval} interval ${last.lower} to ${last.upper}).`;
+            }).join(" "),
+        };
+
+        const seriesLines = series.slice(0, 10).map((s) => {
+            const { first, last, total } = describeSeries(s);
+            return `- ${s.label}: method ${s.method}, history ${s.historyPoints} points, last actual ${JSON.stringify(s.lastActual)}, `
+                + `first prediction ${JSON.stringify(first)}, last prediction ${JSON.stringify(last)}, total forecast ${total}, `
+                + `backtest ${s.accuracy ? JSON.stringify(s.accuracy) : "not enough history"}`;
+        }).join("\n");
 
         const prompt = `The user asked: "${userQuestion}"
 
-Here is the historical sales data (last ${dataForAI.length} data points):
-${JSON.stringify(dataForAI, null, 2)}
-
-Based on this data, please:
-1. Analyze the trend (increasing, decreasing, seasonal patterns, etc.)
-2. Predict the next ${forecastPeriod} days of data
-3. Provide a summary of your prediction
+A statistical forecast was computed locally. Describe it; do NOT change or invent any numbers.
+- Granularity: ${forecast.granularity}, periods: ${series[0].predictions.length}
+- Confidence level of lower/upper: ${forecast.confidenceLevel}
+- Series (${series.length}${series.length > 10 ? ", first 10 shown" : ""}):
+${seriesLines}
 
 RESPOND WITH ONLY VALID JSON in this exact format:
 {
-  "analysis": "Brief description of the trend you observed",
-  "predictions": [
-    {"date": "YYYY-MM-DD", "value": predicted_number},
-    ...
-  ],
-  "summary": "Brief summary of the forecast"
+  "analysis": "Brief description of the trends and seasonality the models found",
+  "summary": "Brief summary of the forecast, quoting the numbers above and how reliable the backtest suggests it is"
 }`;
 
         try {
             const response = await this.client.chat.completions.create({
-                model: "gpt-4o",
+                model: "gpt-4o-mini",
                 messages: [
-                    {
-                        role: "system",
-                        content: "You are an expert data analyst and forecaster. Analyze the given time series data and predict future values. Use appropriate forecasting techniques based on the data patterns. Respond ONLY with valid JSON."
-                    },
+                    { role: "system", content: "You are a data analyst who explains statistical forecasts to business users. Respond ONLY with valid JSON." },
                     { role: "user", content: prompt },
                 ],
                 temperature: 0.2,
-                max_tokens: 4000,
+                max_tokens: 500,
             });
 
             const content = response.choices[0].message.content;
-
-            // Parse JSON response
-            let jsonContent = content;
-            const jsonMatch = content.match(/```json\n?([\s\S]*?)\n?```/) || content.match(/```([\s\S]*?)```/);
-            if (jsonMatch) {
-                jsonContent = jsonMatch[1];
-            } else {
-                const firstBrace = content.indexOf('{');
-                const lastBrace = content.lastIndexOf('}');
-                if (firstBrace !== -1 && lastBrace !== -1) {
-                    jsonContent = content.substring(firstBrace, lastBrace + 1);
-                }
-            }
-
-            const forecast = JSON.parse(jsonContent.trim());
+            const firstBrace = content.indexOf('{');
+            const lastBrace = content.lastIndexOf('}');
+            const description = JSON.parse(content.substring(firstBrace, lastBrace + 1));
             return {
-                success: true,
-                analysis: forecast.analysis,
-                predictions: forecast.predictions,
-                summary: forecast.summary,
-                dateColumn: columns[dateColIdx],
-                valueColumn: columns[valueColIdx]
+                analysis: description.analysis || fallback.analysis,
+                summary: description.summary || fallback.summary,
             };
         } catch (error) {
-            console.error("Error generating forecast:", error);
-            return { success: false, message: `Failed to generate forecast: ${error.message}` };
+            console.error("Error describing forecast:", error);
+            return fallback;
         }
     }
 }
@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+
+const MAX_RESULTS = 1000;
+
+// Remembers how each chat result was produced so it can be fetched again later.
+// Rows of recent results are kept for pagination within a global row budget;
+// older results keep only their SQL and are re-queried (exports always re-query).
+class ResultService {
+    constructor() {
+        this.results = new Map();
+        this.ttl = (parseFloat(process.env.RESULT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+        this.maxStoredRows = parseInt(process.env.RESULT_STORE_MAX_ROWS, 10) || 100000;
+        this.storedRows = 0;
+    }
+
+    // `sql` is the query before brand scoping; `brandScope` is re-applied on every run
+    register({ sql, brandScope, sessionId, userId, columns, rows, truncated }) {
+        const id = crypto.randomUUID();
+        const keepRows = rows && rows.length <= this.maxStoredRows;
+        this.results.set(id, {
+            id,
+            sql,
+            brandScope: brandScope || null,
+            sessionId: sessionId || null,
+            userId: userId || null,
+            columns,
+            rows: keepRows ? rows : null,
+            rowCount: rows ? rows.length : 0,
+            truncated: Boolean(truncated),
+            createdAt: new Date().toISOString(),
+        });
+        if (keepRows) this.storedRows += rows.length;
+
+        // Maps iterate in insertion order, so the first key is the oldest result
+        while (this.results.size > MAX_RESULTS) {
+            this.remove(this.results.keys().next().value);
+        }
+        for (const result of this.results.values()) {
+            if (this.storedRows <= this.maxStoredRows) break;
+            this.dropRows(result);
+        }
+        return id;
+    }
+
+    dropRows(result) {
+        if (!result.rows) return;
+        this.storedRows -= result.rows.length;
+        result.rows = null;
+    }
+
+    remove(id) {
+        const result = this.results.get(id);
+        if (!result) return;
+        this.dropRows(result);
+        this.results.delete(id);
+    }
+
+    // Results belong to the user whose chat produced them
+    getResult(id, userId) {
+        const result = this.results.get(id);
+        if (!result || result.userId !== (userId || null)) return null;
+        if (Date.now() - new Date(result.createdAt).getTime() > this.ttl) {
+            this.remove(id);
+            return null;
+        }
+        return result;
+    }
+}
+
+module.exports = new ResultService();
@@ -0,0 +1,502 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const trinoService = require("./trinoService");
+const brandScopeService = require("./brandScopeService");
+const authService = require("./authService");
+const sqlGuard = require("./sqlGuard");
+const { SqlGuardError } = sqlGuard;
+
+const PARAMETER_TYPES = new Set(["string", "number", "boolean", "date", "date_range", "brand"]);
+const PARAMETER_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+// "today", "yesterday", "today-7", "today+1" (UTC days)
+const RELATIVE_DATE = /^(today|yesterday)(?:\s*([+-])\s*(\d{1,4}))?$/i;
+const MAX_PARAMETERS = 20;
+const MAX_DASHBOARD_ITEMS = 20;
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const COLLECTIONS = ["queries", "dashboards"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function invalid(message, details = {}) {
+    return new SqlGuardError("invalid_parameter", message, details);
+}
+
+function resolveDate(value, name) {
+    const text = String(value).trim();
+    const relative = RELATIVE_DATE.exec(text);
+    if (relative) {
+        const today = new Date(new Date().toISOString().split("T")[0]).getTime();
+        const base = relative[1].toLowerCase() === "yesterday" ? today - DAY_MS : today;
+        const offset = relative[2] ? Number(relative[3]) * (relative[2] === "-" ? -1 : 1) : 0;
+        return new Date(base + offset * DAY_MS).toISOString().split("T")[0];
+    }
+    if (!ISO_DATE.test(text) || isNaN(new Date(text))) {
+        throw invalid(`Parameter ${name} must be a YYYY-MM-DD date, today, yesterday or today-N`, { parameter: name });
+    }
+    return text;
+}
+
+// Checks one value against its definition and returns it in canonical form
+function coerceValue(definition, value) {
+    const { name, type } = definition;
+    if (definition.multiple) {
+        const list = Array.isArray(value) ? value : [value];
+        if (list.length === 0) throw invalid(`Parameter ${name} needs at least one value`, { parameter: name });
+        return list.map(item => coerceValue({ ...definition, multiple: false }, item));
+    }
+
+    let coerced;
+    if (type === "number") {
+        coerced = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+        if (typeof coerced !== "number" || !Number.isFinite(coerced)) {
+            throw invalid(`Parameter ${name} must be a number`, { parameter: name });
+        }
+    } else if (type === "boolean") {
+        if (typeof value !== "boolean") throw invalid(`Parameter ${name} must be true or false`, { parameter: name });
+        coerced = value;
+    } else if (type === "date") {
+        coerced = resolveDate(value, name);
+    } else if (type === "date_range") {
+        if (!value || typeof value !== "object" || value.start === undefined || value.end === undefined) {
+            throw invalid(`Parameter ${name} must be { start, end }`, { parameter: name });
+        }
+        coerced = { start: resolveDate(value.start, name), end: resolveDate(value.end, name) };
+        if (coerced.start > coerced.end) throw invalid(`Parameter ${name} starts after it ends`, { parameter: name });
+    } else {
+        if (typeof value !== "string" || value.trim() === "") {
+            throw invalid(`Parameter ${name} must be a non-empty string`, { parameter: name });
+        }
+        coerced = value;
+    }
+
+    if (definition.values && !definition.values.includes(coerced)) {
+        throw invalid(`Parameter ${name} must be one of: ${definition.values.join(", ")}`, { parameter: name, allowed: definition.values });
+    }
+    return coerced;
+}
+
+function toLiteral(type, value) {
+    if (value === null) return "NULL";
+    if (Array.isArray(value)) return value.map(item => toLiteral(type, item)).join(", ");
+    // Parenthesized so a negative value after a minus (`x -:n`) cannot become a `--` comment
+    if (type === "number") return `(${value})`;
+    if (type === "boolean") return value ? "TRUE" : "FALSE";
+    if (type === "date") return `DATE '${value}'`;
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Placeholder names a definition binds; a date range binds <name>_start and <name>_end
+function placeholderNames(definition) {
+    if (definition.type === "brand") return [];
+    if (definition.type === "date_range") return [`${definition.name}_start`, `${definition.name}_end`];
+    return [definition.name];
+}
+
+// Stores implement: get(collection, id), save(collection, item), delete(collection, id),
+// list(collection) over the collections named at construction. All methods are async.
+class MemorySavedQueryStore {
+    constructor(collections) {
+        this.collections = Object.fromEntries(collections.map(collection => [collection, new Map()]));
+    }
+
+    async get(collection, id) {
+        return this.collections[collection].get(id) || null;
+    }
+
+    async save(collection, item) {
+        this.collections[collection].set(item.id, item);
+    }
+
+    async delete(collection, id) {
+        return this.collections[collection].delete(id);
+    }
+
+    async list(collection) {
+        return Array.from(this.collections[collection].values());
+    }
+}
+
+// One JSON file per item under <directory>/<collection>/, written through a temp file + rename
+class FileSavedQueryStore {
+    constructor(directory, collections) {
+        this.directory = directory;
+        for (const collection of collections) {
+            fs.mkdirSync(path.join(this.directory, collection), { recursive: true });
+        }
+    }
+
+    filePath(collection, id) {
+        const name = crypto.createHash("sha256").update(id).digest("hex").slice(0, 32);
+        return path.join(this.directory, collection, `${name}.json`);
+    }
+
+    async get(collection, id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(collection, id), "utf-8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    async save(collection, item) {
+        const target = this.filePath(collection, item.id);
+        const tmp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(item, null, 2));
+        await fs.promises.rename(tmp, target);
+    }
+
+    async delete(collection, id) {
+        try {
+            await fs.promises.unlink(this.filePath(collection, id));
+            return true;
+        } catch (error) {
+            if (error.code === "ENOENT") return false;
+            throw error;
+        }
+    }
+
+    async list(collection) {
+        const directory = path.join(this.directory, collection);
+        const files = (await fs.promises.readdir(directory)).filter(f => f.endsWith(".json"));
+        const items = [];
+        for (const file of files) {
+            try {
+                items.push(JSON.parse(await fs.promises.readFile(path.join(directory, file), "utf-8")));
+            } catch (error) {
+                console.warn(`Skipping unreadable saved ${collection} file ${file}: ${error.message}`);
+            }
+        }
+        return items;
+    }
+}
+
+// Saved queries keep a chat result's SQL with typed :name placeholders so it can be re-run
+// without the LLM. Values are checked against their type and bound as escaped SQL literals;
+// every run goes through trinoService.executeQuery and the brand entitlement checks.
+class SavedQueryService {
+    constructor() {
+        this.store = this.createStore();
+    }
+
+    createStore() {
+        const type = (process.env.SAVED_QUERY_STORE || "memory").toLowerCase();
+        if (type === "file") {
+            const directory = process.env.SAVED_QUERY_DIR || path.join(__dirname, "..", "data", "saved");
+            console.log(`Using file saved query store at ${directory}`);
+            return new FileSavedQueryStore(directory, COLLECTIONS);
+        }
+        return new MemorySavedQueryStore(COLLECTIONS);
+    }
+
+    // [{ name, type, label, required, default, values, multiple }]; throws on bad definitions
+    normalizeParameters(parameters = []) {
+        if (!Array.isArray(parameters) || parameters.length > MAX_PARAMETERS) {
+            throw invalid(`parameters must be an array of at most ${MAX_PARAMETERS} definitions`);
+        }
+        const seen = new Set();
+        const definitions = parameters.map((parameter) => {
+            const { name, type, label, required, values, multiple } = parameter || {};
+            if (typeof name !== "string" || !PARAMETER_NAME.test(name)) {
+                throw invalid(`Invalid parameter name: ${name}`, { parameter: name });
+            }
+            // Values travel in plain objects, where these would read inherited properties
+            if (name in Object.prototype) throw invalid(`Parameter name ${name} is reserved`, { parameter: name });
+            if (!PARAMETER_TYPES.has(type)) {
+                throw invalid(`Parameter ${name} must have a type of ${[...PARAMETER_TYPES].join(", ")}`, { parameter: name });
+            }
+            const lower = name.toLowerCase();
+            if (seen.has(lower)) throw invalid(`Parameter ${name} is defined twice`, { parameter: name });
+            seen.add(lower);
+
+            const definition = { name, type, label: typeof label === "string" ? label.slice(0, MAX_NAME_LENGTH) : name };
+            if (multiple) {
+                if (type !== "string" && type !== "number") throw invalid(`Parameter ${name} cannot take multiple values`, { parameter: name });
+                definition.multiple = true;
+            }
+            if (values !== undefined) {
+                if (!Array.isArray(values) || values.length === 0 || (type !== "string" && type !== "number")) {
+                    throw invalid(`Parameter ${name} values must be a non-empty list of ${type}s`, { parameter: name });
+                }
+                definition.values = values.map(value => coerceValue({ name, type }, value));
+            }
+            if (parameter.default !== undefined && parameter.default !== null) {
+                // Relative dates stay relative so "yesterday" means yesterday at every run
+                coerceValue(definition, parameter.default);
+                definition.default = parameter.default;
+            }
+            // Without a brand, unrestricted users run unscoped; restricted users are scoped anyway
+            const optional = definition.default !== undefined || type === "brand";
+            definition.required = required !== undefined ? Boolean(required) : !optional;
+            return definition;
+        });
+
+        if (definitions.filter(d => d.type === "brand").length > 1) throw invalid("Only one brand parameter is allowed");
+        return definitions;
+    }
+
+    // :name placeholders outside string literals, quoted identifiers and comments
+    findPlaceholders(sql) {
+        const tokens = sqlGuard.tokenize(sql);
+        const placeholders = [];
+        for (let i = 0; i < tokens.length - 1; i++) {
+            const [colon, word] = [tokens[i], tokens[i + 1]];
+            if (colon.type === "punct" && colon.value === ":" && word.type === "word" && word.start === colon.end) {
+                placeholders.push({ name: word.value, start: colon.start, end: word.end });
+            }
+        }
+        return placeholders;
+    }
+
+    // Values fall back to defaults; optional parameters without either bind NULL.
+    // Returns { sql, values } where `values` holds the resolved value of every parameter.
+    bind(sql, definitions, input = {}) {
+        if (!input || typeof input !== "object" || Array.isArray(input)) throw invalid("parameters must be an object");
+        const known = new Set(definitions.map(d => d.name));
+        const unknown = Object.keys(input).filter(name => !known.has(name));
+        if (unknown.length > 0) throw invalid(`Unknown parameters: ${unknown.join(", ")}`, { parameters: unknown });
+
+        const values = {};
+        const literals = new Map();
+        for (const definition of definitions) {
+            const given = Object.prototype.hasOwnProperty.call(input, definition.name) ? input[definition.name] : undefined;
+            const raw = given ?? definition.default;
+            if (raw === undefined || raw === null) {
+                if (definition.required) throw invalid(`Parameter ${definition.name} is required`, { parameter: definition.name });
+                values[definition.name] = null;
+            } else {
+                values[definition.name] = coerceValue(definition, raw);
+            }
+
+            const value = values[definition.name];
+            if (definition.type === "date_range") {
+                literals.set(`${definition.name}_start`, toLiteral("date", value ? value.start : null));
+                literals.set(`${definition.name}_end`, toLiteral("date", value ? value.end : null));
+            } else if (definition.type !== "brand") {
+                literals.set(definition.name, toLiteral(definition.type, value));
+            }
+        }
+
+        let bound = sql;
+        for (const placeholder of this.findPlaceholders(sql).reverse()) {
+            if (!literals.has(placeholder.name)) throw invalid(`Undefined parameter :${placeholder.name}`, { parameter: placeholder.name });
+            bound = bound.slice(0, placeholder.start) + literals.get(placeholder.name) + bound.slice(placeholder.end);
+        }
+        return { sql: bound, values };
+    }
+
+    // Every placeholder needs a definition and every definition a placeholder; the SQL
+    // bound with sample values has to pass the read-only guard
+    validateQuery(sql, definitions) {
+        if (typeof sql !== "string" || sql.trim() === "") throw invalid("sql is required");
+        const used = new Set(this.findPlaceholders(sql).map(p => p.name));
+        const declared = new Set(definitions.flatMap(placeholderNames));
+        for (const name of used) {
+            if (!declared.has(name)) throw invalid(`Undefined parameter :${name}`, { parameter: name });
+        }
+        for (const name of declared) {
+            if (!used.has(name)) throw invalid(`Parameter :${name} is not used in the SQL`, { parameter: name });
+        }
+
+        const samples = {};
+        for (const definition of definitions) {
+            const sample = { number: 0, boolean: true, date: "2000-01-01", date_range: { start: "2000-01-01", end: "2000-01-01" } }[definition.type] ?? "x";
+            samples[definition.name] = definition.values ? definition.values[0] : sample;
+        }
+        trinoService.validateReadOnly(this.bind(sql, definitions, samples).sql);
+    }
+
+    validateDetails({ name, description }, partial = false) {
+        if (!(partial && name === undefined) && (typeof name !== "string" || name.trim() === "" || name.length > MAX_NAME_LENGTH)) {
+            throw invalid(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+        }
+        if (description !== undefined && description !== null &&
+            (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH)) {
+            throw invalid(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+    }
+
+    // With a userId, items owned by someone else are reported as missing
+    async getItem(collection, id, userId) {
+        const item = await this.store.get(collection, id);
+        if (!item || (userId && item.userId !== userId)) return null;
+        return item;
+    }
+
+    async listItems(collection, userId) {
+        return (await this.store.list(collection))
+            .filter(item => !userId || item.userId === userId)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async createQuery(userId, { name, description, sql, parameters }) {
+        this.validateDetails({ name, description });
+        const definitions = this.normalizeParameters(parameters);
+        this.validateQuery(sql, definitions);
+
+        const now = new Date().toISOString();
+        const query = {
+            id: crypto.randomUUID(),
+            userId,
+            name: name.trim(),
+            description: description || null,
+            sql: sql.trim().replace(/;+$/, ""),
+            parameters: definitions,
+            createdAt: now,
+            updatedAt: now,
+        };
+        await this.store.save("queries", query);
+        return query;
+    }
+
+    async getQuery(id, userId = null) {
+        return this.getItem("queries", id, userId);
+    }
+
+    async listQueries(userId = null) {
+        return this.listItems("queries", userId);
+    }
+
+    async updateQuery(id, changes, userId = null) {
+        const query = await this.getQuery(id, userId);
+        if (!query) return null;
+        this.validateDetails(changes, true);
+        const sql = changes.sql ?? query.sql;
+        const definitions = changes.parameters !== undefined ? this.normalizeParameters(changes.parameters) : query.parameters;
+        this.validateQuery(sql, definitions);
+
+        const updated = {
+            ...query,
+            name: changes.name !== undefined ? changes.name.trim() : query.name,
+            description: changes.description !== undefined ? changes.description : query.description,
+            sql: sql.trim().replace(/;+$/, ""),
+            parameters: definitions,
+            updatedAt: new Date().toISOString(),
+        };
+        await this.store.save("queries", updated);
+        return updated;
+    }
+
+    // Also removes the query from the owner's dashboards
+    async deleteQuery(id, userId = null) {
+        if (!(await this.getQuery(id, userId))) return false;
+        for (const dashboard of await this.listDashboards(userId)) {
+            const items = dashboard.items.filter(item => item.savedQueryId !== id);
+            if (items.length === dashboard.items.length) continue;
+            await this.store.save("dashboards", { ...dashboard, items, updatedAt: new Date().toISOString() });
+        }
+        return this.store.delete("queries", id);
+    }
+
+    // Items are [{ savedQueryId, title, parameters }]; item parameters are fixed values for
+    // that panel. Dashboard parameters are offered once and passed to every query using them.
+    async validateDashboard(userId, { items, parameters }) {
+        if (!Array.isArray(items) || items.length > MAX_DASHBOARD_ITEMS) {
+            throw invalid(`items must be an array of at most ${MAX_DASHBOARD_ITEMS} saved queries`);
+        }
+        const definitions = this.normalizeParameters(parameters);
+        const normalized = [];
+        for (const item of items) {
+            const query = item && typeof item.savedQueryId === "string" ? await this.getQuery(item.savedQueryId, userId) : null;
+            if (!query) throw invalid(`Saved query ${item?.savedQueryId} not found`, { savedQueryId: item?.savedQueryId });
+            const fixed = item.parameters || {};
+            // Binding the fixed values on their own catches unknown names and bad values early
+            this.bind(query.sql, query.parameters.map(d => (Object.prototype.hasOwnProperty.call(fixed, d.name) ? d : { ...d, required: false })), fixed);
+            normalized.push({
+                savedQueryId: query.id,
+                title: typeof item.title === "string" ? item.title.slice(0, MAX_NAME_LENGTH) : null,
+                parameters: fixed,
+            });
+        }
+        return { items: normalized, parameters: definitions };
+    }
+
+    async createDashboard(userId, { name, description, items = [], parameters }) {
+        this.validateDetails({ name, description });
+        const validated = await this.validateDashboard(userId, { items, parameters });
+        const now = new Date().toISOString();
+        const dashboard = {
+            id: crypto.randomUUID(),
+            userId,
+            name: name.trim(),
+            description: description || null,
+            ...validated,
+            createdAt: now,
+            updatedAt: now,
+        };
+        await this.store.save("dashboards", dashboard);
+        return dashboard;
+    }
+
+    async getDashboard(id, userId = null) {
+        return this.getItem("dashboards", id, userId);
+    }
+
+    async listDashboards(userId = null) {
+        return this.listItems("dashboards", userId);
+    }
+
+    async updateDashboard(id, changes, userId = null) {
+        const dashboard = await this.getDashboard(id, userId);
+        if (!dashboard) return null;
+        this.validateDetails(changes, true);
+        const validated = await this.validateDashboard(userId, {
+            items: changes.items ?? dashboard.items,
+            parameters: changes.parameters ?? dashboard.parameters,
+        });
+        const updated = {
+            ...dashboard,
+            name: changes.name !== undefined ? changes.name.trim() : dashboard.name,
+            description: changes.description !== undefined ? changes.description : dashboard.description,
+            ...validated,
+            updatedAt: new Date().toISOString(),
+        };
+        await this.store.save("dashboards", updated);
+        return updated;
+    }
+
+    async deleteDashboard(id, userId = null) {
+        if (!(await this.getDashboard(id, userId))) return false;
+        return this.store.delete("dashboards", id);
+    }
+
+    // Applies the brand scope the user is entitled to (`brand` is the requested one, if any)
+    // and runs the SQL. `options` are passed to trinoService.executeQuery (signal, timeoutMs,
+    // maxRows); `audit` is merged into the audit entry.
+    async execute(sql, brand, user, { audit = {}, ...options } = {}) {
+        let brandScope = null;
+        let executedSql = sql;
+        const entitledBrand = authService.resolveEntitledBrand(user, brand);
+        if (entitledBrand) {
+            brandScope = await brandScopeService.resolveBrand(entitledBrand);
+            executedSql = brandScopeService.scopeSql(sql, brandScope).sql;
+        }
+
+        const results = await trinoService.executeQuery(executedSql, true, {
+            timeoutMs: trinoService.getQueryTimeout("saved"),
+            ...options,
+            userId: user.id,
+            audit: { source: "saved", brand: brandScope?.brand || null, generatedSql: sql, ...audit },
+        });
+        return { sql, executedSql, brandScope, ...results };
+    }
+
+    // Binds the parameters and executes the saved query; returns the result with the bound
+    // SQL and the resolved parameter values
+    async run(query, input, user, { audit = {}, ...options } = {}) {
+        const { sql, values } = this.bind(query.sql, query.parameters, input);
+        const brandParameter = query.parameters.find(d => d.type === "brand");
+        const result = await this.execute(sql, brandParameter ? values[brandParameter.name] : undefined, user, {
+            ...options,
+            audit: { savedQueryId: query.id, ...audit },
+        });
+        return { ...result, parameters: values };
+    }
+}
+
+module.exports = new SavedQueryService();
+module.exports.MemorySavedQueryStore = MemorySavedQueryStore;
+module.exports.FileSavedQueryStore = FileSavedQueryStore;
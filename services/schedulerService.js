@@ -0,0 +1,666 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const savedQueryService = require("./savedQueryService");
+const openaiService = require("./openaiService");
+const authService = require("./authService");
+const trinoService = require("./trinoService");
+const { MemorySavedQueryStore, FileSavedQueryStore } = savedQueryService;
+
+const COLLECTIONS = ["schedules", "runs"];
+const MINUTE_MS = 60 * 1000;
+// Minutes a late timer may catch up on; anything older is skipped, not replayed
+const MAX_CATCH_UP_MINUTES = 60;
+const DEFAULT_HISTORY_SIZE = 50;
+const DEFAULT_MAX_ROWS = 100;
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_DELAYS_MS = [1000, 5000];
+const MAX_CONDITIONS = 10;
+const MAX_NAME_LENGTH = 200;
+const MAX_QUESTION_LENGTH = 2000;
+
+const OPERATORS = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "==": (a, b) => a === b,
+    "!=": (a, b) => a !== b,
+};
+
+const CRON_ALIASES = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *",
+};
+// Loopback, private, link-local (cloud metadata endpoints), CGNAT, multicast and reserved
+// ranges; IPv4-mapped IPv6 addresses are refused outright
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+// minute, hour, day of month, month, day of week (0 and 7 are Sunday)
+const CRON_FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ScheduleError";
+    }
+}
+
+function parseCronValue(text, field) {
+    const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+    const value = index !== -1 ? index + field.offset : Number(text);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new ScheduleError(`Invalid ${field.name} in cron expression: ${text}`);
+    }
+    return value;
+}
+
+// Five-field cron: *, lists (1,15), ranges (1-5), steps (*/15, 8-18/2) and month/day names.
+// Returns { fields: [Set], dayOfMonthAny, dayOfWeekAny }.
+function parseCron(expression) {
+    const text = String(expression || "").trim();
+    const parts = (CRON_ALIASES[text.toLowerCase()] || text).split(/\s+/);
+    if (parts.length !== 5) throw new ScheduleError("cron must have five fields: minute hour day-of-month month day-of-week");
+
+    const fields = parts.map((part, i) => {
+        const field = CRON_FIELDS[i];
+        const values = new Set();
+        for (const item of part.split(",")) {
+            const [range, stepText] = item.split("/");
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) throw new ScheduleError(`Invalid step in cron expression: ${item}`);
+            let [start, end] = [field.min, field.max];
+            if (range !== "*") {
+                const [from, to] = range.split("-");
+                start = parseCronValue(from, field);
+                end = to !== undefined ? parseCronValue(to, field) : (stepText === undefined ? start : field.max);
+            }
+            if (start > end) throw new ScheduleError(`Invalid range in cron expression: ${item}`);
+            for (let value = start; value <= end; value += step) values.add(i === 4 ? value % 7 : value);
+        }
+        return values;
+    });
+    return { fields, dayOfMonthAny: parts[2] === "*", dayOfWeekAny: parts[4] === "*" };
+}
+
+const formatters = new Map();
+
+// Wall-clock fields of `ms` in `timeZone`
+function zonedParts(ms, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            weekday: "short",
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(ms).map(part => [part.type, part.value]));
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toUpperCase()),
+    };
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Standard cron rule: when both day fields are restricted, either one matching is enough
+function matchesDay(cron, parts) {
+    const dayOfMonth = cron.fields[2].has(parts.day);
+    const dayOfWeek = cron.fields[4].has(parts.weekday);
+    if (cron.dayOfMonthAny) return cron.fields[3].has(parts.month) && dayOfWeek;
+    if (cron.dayOfWeekAny) return cron.fields[3].has(parts.month) && dayOfMonth;
+    return cron.fields[3].has(parts.month) && (dayOfMonth || dayOfWeek);
+}
+
+function matchesCron(cron, ms, timeZone) {
+    const parts = zonedParts(ms, timeZone);
+    return matchesDay(cron, parts) && cron.fields[1].has(parts.hour) && cron.fields[0].has(parts.minute);
+}
+
+// First matching minute after `from`, skipping whole days and hours that cannot match.
+// Looks five years ahead so February 29th is found; null when nothing matches.
+function nextRun(cron, timeZone, from = Date.now()) {
+    let ms = Math.floor(from / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = ms + 5 * 366 * 24 * 60 * MINUTE_MS;
+    while (ms < limit) {
+        const parts = zonedParts(ms, timeZone);
+        if (!matchesDay(cron, parts)) {
+            ms += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+        } else if (!cron.fields[1].has(parts.hour)) {
+            ms += (60 - parts.minute) * MINUTE_MS;
+        } else if (!cron.fields[0].has(parts.minute)) {
+            ms += MINUTE_MS;
+        } else {
+            return new Date(ms).toISOString();
+        }
+    }
+    return null;
+}
+
+// A condition holds when any row (or, with match "all", every row) satisfies it.
+// Numeric operators compare numbers; == and != compare text when the value is a string.
+function evaluateCondition(condition, columns, rows) {
+    const index = columns.findIndex(column => column.toLowerCase() === condition.column.toLowerCase());
+    const outcome = { ...condition, triggered: false, matchingRows: 0 };
+    if (index === -1) return { ...outcome, error: `Column ${condition.column} is not in the result` };
+
+    const compare = OPERATORS[condition.operator];
+    const numeric = typeof condition.value === "number";
+    const checked = rows.filter(row => row[index] !== null && row[index] !== undefined);
+    const matching = checked.filter((row) => {
+        const value = numeric ? Number(row[index]) : String(row[index]);
+        return (!numeric || Number.isFinite(value)) && compare(value, condition.value);
+    });
+    const triggered = condition.match === "all"
+        ? checked.length > 0 && matching.length === checked.length
+        : matching.length > 0;
+    return { ...outcome, triggered, matchingRows: matching.length };
+}
+
+function isBlockedAddress(address) {
+    // A ::ffff:0:0/96 subnet would match every IPv4 address too, so mapped ones are caught here
+    if (/^::ffff:/i.test(address)) return true;
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// A dns.lookup replacement that only ever answers with addresses that were already checked
+function pinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+        if (options.all) return callback(null, addresses);
+        const [first] = addresses;
+        return callback(null, first.address, first.family);
+    };
+}
+
+// Resolves with the response status; the body is discarded
+function postWebhook(url, { headers, body, addresses, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === "https:" ? https : http;
+        const request = client.request(target, {
+            method: "POST",
+            headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+            lookup: addresses ? pinnedLookup(addresses) : undefined,
+            signal: AbortSignal.timeout(timeoutMs),
+        }, (response) => {
+            response.on("error", reject);
+            response.on("end", () => resolve(response.statusCode));
+            response.resume();
+        });
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs saved queries or natural-language questions on cron schedules, checks threshold
+// conditions on the result and POSTs a report to the schedule's webhook. Every instance
+// with SCHEDULER_ENABLED=true fires every schedule: enable it on one instance only.
+class SchedulerService {
+    constructor() {
+        this.store = this.createStore();
+        this.enabled = (process.env.SCHEDULER_ENABLED || "true").toLowerCase() !== "false";
+        this.defaultTimeZone = process.env.SCHEDULER_TIMEZONE || "UTC";
+        this.historySize = parseInt(process.env.SCHEDULER_HISTORY_SIZE, 10) || DEFAULT_HISTORY_SIZE;
+        this.maxRows = parseInt(process.env.SCHEDULER_MAX_ROWS, 10) || DEFAULT_MAX_ROWS;
+        this.webhookUrl = process.env.SCHEDULER_WEBHOOK_URL || null;
+        this.webhookSecret = process.env.SCHEDULER_WEBHOOK_SECRET || null;
+        this.webhookTimeoutMs = parseInt(process.env.SCHEDULER_WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_WEBHOOK_TIMEOUT_MS;
+        this.webhookHosts = (process.env.SCHEDULER_WEBHOOK_HOSTS || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean);
+        this.running = new Set();
+        this.queue = Promise.resolve();
+        this.timer = null;
+        this.lastTick = null;
+        if (!isValidTimeZone(this.defaultTimeZone)) throw new Error(`Invalid SCHEDULER_TIMEZONE: ${this.defaultTimeZone}`);
+    }
+
+    createStore() {
+        const type = (process.env.SCHEDULER_STORE || "memory").toLowerCase();
+        if (type === "file") {
+            const directory = process.env.SCHEDULER_DIR || path.join(__dirname, "..", "data", "schedules");
+            console.log(`Using file schedule store at ${directory}`);
+            return new FileSavedQueryStore(directory, COLLECTIONS);
+        }
+        return new MemorySavedQueryStore(COLLECTIONS);
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return false;
+        this.lastTick = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+        this.scheduleTick();
+        return true;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Wakes up just after each minute boundary
+    scheduleTick() {
+        const wait = MINUTE_MS - (Date.now() % MINUTE_MS) + 50;
+        this.timer = setTimeout(() => {
+            this.tick().catch(error => console.error("Scheduler tick failed:", error.message));
+            this.scheduleTick();
+        }, wait);
+        this.timer.unref();
+    }
+
+    // Fires every schedule due in a minute since the last tick; a schedule runs at most once per tick
+    async tick(now = Date.now()) {
+        const current = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+        const first = Math.max((this.lastTick ?? current - MINUTE_MS) + MINUTE_MS, current - (MAX_CATCH_UP_MINUTES - 1) * MINUTE_MS);
+        this.lastTick = current;
+
+        for (const schedule of await this.store.list("schedules")) {
+            if (!schedule.enabled || this.running.has(schedule.id)) continue;
+            const cron = parseCron(schedule.cron);
+            let due = false;
+            for (let minute = first; minute <= current && !due; minute += MINUTE_MS) {
+                due = matchesCron(cron, minute, schedule.timezone);
+            }
+            if (!due) continue;
+            // One run at a time keeps a burst of morning reports from piling onto Trino
+            this.running.add(schedule.id);
+            this.queue = this.queue
+                .then(() => this.execute(schedule, "cron"))
+                .catch(error => console.error(`Scheduled run of ${schedule.id} failed:`, error.message))
+                .finally(() => this.running.delete(schedule.id));
+        }
+    }
+
+    async validateWebhookUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new ScheduleError("webhookUrl must be an absolute http(s) URL");
+        }
+        if (url.protocol !== "http:" && url.protocol !== "https:") throw new ScheduleError("webhookUrl must be an absolute http(s) URL");
+        await this.assertWebhookHost(url);
+        return url.toString();
+    }
+
+    // With SCHEDULER_WEBHOOK_HOSTS set only those hosts are accepted. Without it, any host
+    // resolving to an internal address is refused, so results cannot be sent to the cloud
+    // metadata service or other endpoints only this server can reach. Returns the checked
+    // addresses of a resolved host name, or null when there is nothing to pin.
+    async assertWebhookHost(url) {
+        const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+        if (this.webhookHosts.length > 0) {
+            if (!this.webhookHosts.includes(host)) throw new ScheduleError(`webhookUrl host must be one of: ${this.webhookHosts.join(", ")}`);
+            return null;
+        }
+        if (net.isIP(host)) {
+            if (isBlockedAddress(host)) throw new ScheduleError(`webhookUrl host ${host} is a private or internal address; list it in SCHEDULER_WEBHOOK_HOSTS to allow it`);
+            return null;
+        }
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(host, { all: true });
+        } catch (error) {
+            throw new ScheduleError(`webhookUrl host ${host} could not be resolved`);
+        }
+        if (addresses.some(entry => isBlockedAddress(entry.address))) {
+            throw new ScheduleError(`webhookUrl host ${host} is a private or internal address; list it in SCHEDULER_WEBHOOK_HOSTS to allow it`);
+        }
+        return addresses;
+    }
+
+    // Validates a full definition (after merging changes) and returns the fields to store
+    async validateSchedule(userId, definition) {
+        const { name, cron, timezone = this.defaultTimeZone, enabled = true, target, conditions = [], deliver, webhookUrl } = definition;
+        if (typeof name !== "string" || name.trim() === "" || name.length > MAX_NAME_LENGTH) {
+            throw new ScheduleError(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+        }
+        if (typeof timezone !== "string" || !isValidTimeZone(timezone)) throw new ScheduleError(`Unknown timezone: ${timezone}`);
+        if (!nextRun(parseCron(cron), timezone)) throw new ScheduleError(`cron expression ${cron} never fires`);
+        if (typeof enabled !== "boolean") throw new ScheduleError("enabled must be a boolean");
+
+        let normalizedTarget;
+        if (target?.type === "saved") {
+            const query = typeof target.savedQueryId === "string" ? await savedQueryService.getQuery(target.savedQueryId, userId) : null;
+            if (!query) throw new ScheduleError(`Saved query ${target.savedQueryId} not found`);
+            const parameters = target.parameters || {};
+            // Relative dates ("yesterday") stay relative and resolve at each run
+            savedQueryService.bind(query.sql, query.parameters, parameters);
+            normalizedTarget = { type: "saved", savedQueryId: query.id, parameters };
+        } else if (target?.type === "question") {
+            if (typeof target.question !== "string" || target.question.trim() === "" || target.question.length > MAX_QUESTION_LENGTH) {
+                throw new ScheduleError(`question must be a non-empty string of at most ${MAX_QUESTION_LENGTH} characters`);
+            }
+            if (target.brand !== undefined && target.brand !== null && typeof target.brand !== "string") {
+                throw new ScheduleError("brand must be a string");
+            }
+            normalizedTarget = { type: "question", question: target.question.trim(), brand: target.brand || null };
+        } else {
+            throw new ScheduleError("target must be { type: \"saved\", savedQueryId, parameters } or { type: \"question\", question, brand }");
+        }
+
+        if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) {
+            throw new ScheduleError(`conditions must be an array of at most ${MAX_CONDITIONS} entries`);
+        }
+        const normalizedConditions = conditions.map((condition) => {
+            const { column, operator, value, match = "any" } = condition || {};
+            if (typeof column !== "string" || column === "") throw new ScheduleError("Each condition needs a column");
+            if (!OPERATORS[operator]) throw new ScheduleError(`operator must be one of ${Object.keys(OPERATORS).join(" ")}`);
+            const numeric = typeof value === "number" && Number.isFinite(value);
+            if (!numeric && !(typeof value === "string" && (operator === "==" || operator === "!="))) {
+                throw new ScheduleError(`Condition on ${column} needs a number (or a string with == and !=)`);
+            }
+            if (match !== "any" && match !== "all") throw new ScheduleError("match must be any or all");
+            return { column, operator, value, match };
+        });
+
+        const resolvedDeliver = deliver ?? (normalizedConditions.length > 0 ? "on_alert" : "always");
+        if (resolvedDeliver !== "always" && resolvedDeliver !== "on_alert") throw new ScheduleError("deliver must be always or on_alert");
+        if (resolvedDeliver === "on_alert" && normalizedConditions.length === 0) {
+            throw new ScheduleError("deliver on_alert needs at least one condition");
+        }
+        if ((webhookUrl === undefined || webhookUrl === null) && !this.webhookUrl) {
+            throw new ScheduleError("webhookUrl is required (no SCHEDULER_WEBHOOK_URL is configured)");
+        }
+
+        return {
+            name: name.trim(),
+            cron: String(cron).trim(),
+            timezone,
+            enabled,
+            target: normalizedTarget,
+            conditions: normalizedConditions,
+            deliver: resolvedDeliver,
+            webhookUrl: webhookUrl === undefined || webhookUrl === null ? null : await this.validateWebhookUrl(webhookUrl),
+        };
+    }
+
+    // Adds the next run time; with a userId, schedules owned by someone else are reported as missing
+    async getSchedule(id, userId = null) {
+        const schedule = await this.store.get("schedules", id);
+        if (!schedule || (userId && schedule.userId !== userId)) return null;
+        return this.withNextRun(schedule);
+    }
+
+    withNextRun(schedule) {
+        return { ...schedule, nextRunAt: schedule.enabled ? nextRun(parseCron(schedule.cron), schedule.timezone) : null };
+    }
+
+    async listSchedules(userId = null) {
+        return (await this.store.list("schedules"))
+            .filter(schedule => !userId || schedule.userId === userId)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(schedule => this.withNextRun(schedule));
+    }
+
+    async createSchedule(userId, definition) {
+        const now = new Date().toISOString();
+        const schedule = {
+            id: crypto.randomUUID(),
+            userId,
+            ...(await this.validateSchedule(userId, definition)),
+            lastRunAt: null,
+            lastStatus: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+        await this.store.save("schedules", schedule);
+        return this.withNextRun(schedule);
+    }
+
+    async updateSchedule(id, changes, userId = null) {
+        const schedule = await this.store.get("schedules", id);
+        if (!schedule || (userId && schedule.userId !== userId)) return null;
+        const merged = { ...schedule };
+        for (const [field, value] of Object.entries(changes)) {
+            if (value !== undefined) merged[field] = value;
+        }
+        // deliver defaults from the conditions again unless it was set explicitly
+        if (changes.deliver === undefined && changes.conditions !== undefined) delete merged.deliver;
+        const updated = {
+            ...schedule,
+            ...(await this.validateSchedule(schedule.userId, merged)),
+            updatedAt: new Date().toISOString(),
+        };
+        await this.store.save("schedules", updated);
+        return this.withNextRun(updated);
+    }
+
+    async deleteSchedule(id, userId = null) {
+        const schedule = await this.store.get("schedules", id);
+        if (!schedule || (userId && schedule.userId !== userId)) return false;
+        await this.store.delete("runs", id);
+        return this.store.delete("schedules", id);
+    }
+
+    async getHistory(id) {
+        return (await this.store.get("runs", id)) || { id, runs: [], lastResult: null };
+    }
+
+    // Runs a question through the SQL generator; the generated SQL then takes the same path
+    // as a saved query. Forecast answers run their historical query only.
+    async runQuestion(target, user, options) {
+        const aiResponse = await openaiService.generateSQL(target.question, [], target.brand || undefined);
+        if (aiResponse.type !== "query" && aiResponse.type !== "forecast") {
+            throw new Error(aiResponse.message || "The question did not produce a query");
+        }
+        const result = await savedQueryService.execute(aiResponse.sql, target.brand || undefined, user, {
+            ...options,
+            audit: { ...options.audit, question: target.question },
+        });
+        return { ...result, parameters: null };
+    }
+
+    async runTarget(schedule, user) {
+        const options = {
+            timeoutMs: trinoService.getQueryTimeout("schedule"),
+            audit: { source: "schedule", scheduleId: schedule.id },
+        };
+        if (schedule.target.type === "question") return this.runQuestion(schedule.target, user, options);
+
+        const query = await savedQueryService.getQuery(schedule.target.savedQueryId, schedule.userId);
+        if (!query) throw new Error(`Saved query ${schedule.target.savedQueryId} no longer exists`);
+        return savedQueryService.run(query, schedule.target.parameters, user, options);
+    }
+
+    // One run: query, conditions, webhook, history. Never throws; failures are recorded
+    // on the run (and reported to the webhook as an "error" payload).
+    async execute(schedule, trigger) {
+        const run = {
+            id: crypto.randomUUID(),
+            scheduleId: schedule.id,
+            trigger,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            status: null,
+            sql: null,
+            parameters: null,
+            rowCount: null,
+            truncated: false,
+            alert: null,
+            delivery: null,
+            error: null,
+        };
+        let result = null;
+
+        try {
+            // The owner's current brand entitlements apply, not those at creation time
+            const user = authService.findById(schedule.userId);
+            if (!user) throw new Error(`Owner ${schedule.userId} no longer exists`);
+            result = await this.runTarget(schedule, user);
+            const conditions = schedule.conditions.map(condition => evaluateCondition(condition, result.columns, result.rows));
+            Object.assign(run, {
+                status: "success",
+                sql: result.sql,
+                parameters: result.parameters,
+                rowCount: result.rows.length,
+                truncated: result.truncated || false,
+                alert: schedule.conditions.length > 0
+                    ? { triggered: conditions.some(c => c.triggered), conditions }
+                    : null,
+            });
+        } catch (error) {
+            Object.assign(run, { status: "error", error: error.message });
+        }
+        run.finishedAt = new Date().toISOString();
+
+        const type = run.status === "error" ? "error" : (run.alert?.triggered ? "alert" : "report");
+        if (type === "report" && schedule.deliver === "on_alert") {
+            run.delivery = { status: "skipped", reason: "no_alert" };
+        } else {
+            run.delivery = await this.deliver(schedule, this.buildPayload(schedule, run, type, result));
+        }
+
+        const lastResult = result ? {
+            runId: run.id,
+            finishedAt: run.finishedAt,
+            columns: result.columns,
+            rows: result.rows.slice(0, this.maxRows),
+            rowCount: result.rows.length,
+            truncated: result.truncated || result.rows.length > this.maxRows,
+        } : null;
+        await this.record(schedule, run, lastResult);
+        console.log(`Schedule ${schedule.id} (${trigger}): ${run.status}, ${type}, delivery ${run.delivery.status}`);
+        return run;
+    }
+
+    buildPayload(schedule, run, type, result) {
+        return {
+            type,
+            schedule: { id: schedule.id, name: schedule.name, cron: schedule.cron, timezone: schedule.timezone },
+            run: {
+                id: run.id,
+                trigger: run.trigger,
+                startedAt: run.startedAt,
+                finishedAt: run.finishedAt,
+                status: run.status,
+                error: run.error,
+            },
+            question: schedule.target.type === "question" ? schedule.target.question : null,
+            sql: run.sql,
+            parameters: run.parameters,
+            alert: run.alert,
+            result: result ? {
+                columns: result.columns,
+                rows: result.rows.slice(0, this.maxRows),
+                rowCount: result.rows.length,
+                truncated: result.truncated || result.rows.length > this.maxRows,
+            } : null,
+        };
+    }
+
+    // POSTs the payload; network errors and 5xx responses are retried. With
+    // SCHEDULER_WEBHOOK_SECRET set, X-Signature-256 carries an HMAC-SHA256 of the body.
+    // The host is checked again here because DNS may have changed since the schedule was
+    // saved, and the connection goes to the addresses that were checked so a second lookup
+    // cannot swap in another one. Redirects are not followed since they could lead anywhere.
+    async deliver(schedule, payload) {
+        const url = schedule.webhookUrl || this.webhookUrl;
+        if (!url) return { status: "skipped", reason: "no_webhook" };
+        let addresses;
+        try {
+            addresses = await this.assertWebhookHost(new URL(url));
+        } catch (error) {
+            console.warn(`Webhook delivery for schedule ${schedule.id} refused: ${error.message}`);
+            return { status: "failed", httpStatus: null, attempts: 0, error: error.message };
+        }
+
+        const body = JSON.stringify(payload);
+        const headers = {
+            "Content-Type": "application/json",
+            "User-Agent": "trino-chatbot-scheduler",
+            "X-Schedule-Id": schedule.id,
+            "X-Run-Id": payload.run.id,
+        };
+        if (this.webhookSecret) {
+            headers["X-Signature-256"] = `sha256=${crypto.createHmac("sha256", this.webhookSecret).update(body).digest("hex")}`;
+        }
+
+        let attempts = 0;
+        let lastError = null;
+        for (;;) {
+            attempts++;
+            try {
+                const status = await postWebhook(url, { headers, body, addresses, timeoutMs: this.webhookTimeoutMs });
+                if (status >= 200 && status < 300) return { status: "delivered", httpStatus: status, attempts };
+                lastError = status >= 300 && status < 400
+                    ? `Webhook redirected with HTTP ${status}; redirects are not followed`
+                    : `Webhook responded with HTTP ${status}`;
+                if (status < 500) return { status: "failed", httpStatus: status, attempts, error: lastError };
+            } catch (error) {
+                lastError = error.message;
+            }
+            if (attempts > WEBHOOK_RETRY_DELAYS_MS.length) break;
+            await delay(WEBHOOK_RETRY_DELAYS_MS[attempts - 1]);
+        }
+        console.warn(`Webhook delivery for schedule ${schedule.id} failed: ${lastError}`);
+        return { status: "failed", httpStatus: null, attempts, error: lastError };
+    }
+
+    async record(schedule, run, lastResult) {
+        const history = await this.getHistory(schedule.id);
+        history.runs = [run, ...history.runs].slice(0, this.historySize);
+        if (lastResult) history.lastResult = lastResult;
+        await this.store.save("runs", history);
+
+        // The schedule may have been edited or deleted while it ran
+        const current = await this.store.get("schedules", schedule.id);
+        if (current) await this.store.save("schedules", { ...current, lastRunAt: run.startedAt, lastStatus: run.status });
+    }
+
+    // Runs a schedule now, outside its cron times
+    async runNow(id, userId = null) {
+        const schedule = await this.getSchedule(id, userId);
+        if (!schedule) return null;
+        if (this.running.has(id)) throw new ScheduleError("This schedule is already running");
+        this.running.add(id);
+        try {
+            return await this.execute(schedule, "manual");
+        } finally {
+            this.running.delete(id);
+        }
+    }
+}
+
+module.exports = new SchedulerService();
+module.exports.ScheduleError = ScheduleError;
+module.exports.parseCron = parseCron;
+module.exports.nextRun = nextRun;
@@ -0,0 +1,194 @@
+// Picks the knowledge-base tables relevant to a question with BM25 over table and
+// column names, descriptions and known values, so the SQL prompt only carries those.
+
+const K1 = 1.2;
+const B = 0.75;
+const DEFAULT_TOP_K = 4;
+// Tables scoring below this share of the best match are dropped
+const MIN_RELATIVE_SCORE = 0.3;
+// Table names count more than a column that happens to mention a word
+const NAME_WEIGHT = 3;
+
+const STOP_WORDS = new Set([
+    "a", "an", "the", "and", "or", "of", "for", "to", "in", "on", "by", "with", "from", "at", "as",
+    "is", "are", "was", "were", "be", "me", "my", "our", "we", "i", "you", "show", "give", "get",
+    "what", "which", "how", "many", "much", "list", "all", "per", "each", "this", "that", "last",
+    "table", "column", "id", "mv", "t", "v", "data",
+]);
+
+// Business terms users type mapped to the words used in table and column names.
+// knowledgebase.json can extend these with a top-level "synonyms" object.
+const DEFAULT_SYNONYMS = {
+    sales: ["sale", "net_sale", "gross_sale", "revenue"],
+    revenue: ["sale", "net_sale", "gross_sale"],
+    gmv: ["gross_sale"],
+    orders: ["order", "units"],
+    units: ["unit", "quantity"],
+    spend: ["ads_spend", "cost", "budget"],
+    cost: ["ads_spend", "spend"],
+    impressions: ["ads_impression", "impression"],
+    views: ["impression"],
+    clicks: ["ads_click", "click"],
+    ctr: ["click", "impression"],
+    cpc: ["click", "spend"],
+    roas: ["ads_sale", "spend", "sale"],
+    acos: ["ads_sale", "spend"],
+    keyword: ["keyword", "search_term"],
+    keywords: ["keyword", "search_term"],
+    search: ["keyword", "search_term"],
+    campaign: ["campaign"],
+    campaigns: ["campaign"],
+    targeting: ["cst", "targeting"],
+    placement: ["placement"],
+    placements: ["placement"],
+    product: ["product", "sku"],
+    products: ["product", "sku"],
+    sku: ["product"],
+    marketplace: ["platform"],
+    marketplaces: ["platform"],
+    platform: ["platform"],
+    channel: ["platform"],
+    category: ["category", "sub_category"],
+    categories: ["category", "sub_category"],
+    region: ["region"],
+    ads: ["ads", "ad"],
+    advertising: ["ads", "ad"],
+    inventory: ["stock", "inventory"],
+    stock: ["inventory", "stock"],
+};
+
+function stem(word) {
+    if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+    return word;
+}
+
+function tokenize(text) {
+    return String(text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+// Placeholders such as "Column date" or "Table mv_x" add nothing but noise
+function isPlaceholder(description, name) {
+    return !description || description === `Column ${name}` || description === `Table ${name}`;
+}
+
+class SchemaRetrievalService {
+    constructor() {
+        this.index = null;
+        this.indexKey = null;
+        this.topK = parseInt(process.env.SCHEMA_RETRIEVAL_TOP_K, 10) || DEFAULT_TOP_K;
+        this.enabled = (process.env.SCHEMA_RETRIEVAL || "true").toLowerCase() !== "false";
+    }
+
+    // `tables` is [{ fullName, tableName, tableInfo, description, hint }]
+    buildIndex(tables) {
+        const documents = tables.map(({ fullName, tableName, tableInfo, description, hint }) => {
+            const terms = [];
+            for (let i = 0; i < NAME_WEIGHT; i++) terms.push(...tokenize(tableName));
+            terms.push(...tokenize(description), ...tokenize(hint));
+            if (!isPlaceholder(tableInfo.description, tableName)) terms.push(...tokenize(tableInfo.description));
+
+            for (const [columnName, columnInfo] of Object.entries(tableInfo.columns || {})) {
+                terms.push(...tokenize(columnName));
+                if (!isPlaceholder(columnInfo.description, columnName)) terms.push(...tokenize(columnInfo.description));
+                for (const value of columnInfo.knownValues || []) terms.push(...tokenize(value));
+            }
+
+            const frequencies = new Map();
+            for (const term of terms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+            return { fullName, frequencies, length: terms.length };
+        });
+
+        const documentFrequency = new Map();
+        for (const { frequencies } of documents) {
+            for (const term of frequencies.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+        const averageLength = documents.reduce((sum, d) => sum + d.length, 0) / (documents.length || 1);
+        return { documents, documentFrequency, averageLength };
+    }
+
+    expandQuery(question, synonyms) {
+        const terms = [];
+        for (const word of String(question || "").toLowerCase().split(/[^a-z0-9_]+/).filter(Boolean)) {
+            terms.push(...tokenize(word));
+            for (const synonym of synonyms[word] || synonyms[stem(word)] || []) terms.push(...tokenize(synonym));
+        }
+        return [...new Set(terms)];
+    }
+
+    score(index, terms) {
+        const total = index.documents.length;
+        return index.documents.map(({ fullName, frequencies, length }) => {
+            let score = 0;
+            for (const term of terms) {
+                const frequency = frequencies.get(term);
+                if (!frequency) continue;
+                const df = index.documentFrequency.get(term);
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / index.averageLength));
+            }
+            return { table: fullName, score };
+        });
+    }
+
+    // Lookup tables referenced through master_<x>_id columns (t_master_<x>)
+    findJoinTables(tableInfo, byName) {
+        const joins = [];
+        for (const columnName of Object.keys(tableInfo.columns || {})) {
+            const match = /^master_(\w+)_id$/.exec(columnName);
+            if (!match) continue;
+            const lookup = byName.get(`t_master_${match[1]}`);
+            if (lookup && lookup.tableInfo !== tableInfo) joins.push(lookup.fullName);
+        }
+        return joins;
+    }
+
+    // Returns { mode, tables: [{ table, score, reason }] }. `tables` are the accessible
+    // knowledge-base tables; `pinned` are tables the conversation already used.
+    select({ question, tables, synonyms = {}, pinned = [], cacheKey }) {
+        if (!this.enabled || tables.length <= this.topK) {
+            return { mode: "full", tables: tables.map(t => ({ table: t.fullName, score: null, reason: "all" })) };
+        }
+
+        // cacheKey holds the loaded config objects; a reload replaces them
+        if (!this.index || !cacheKey || cacheKey.some((key, i) => key !== this.indexKey[i])) {
+            this.index = this.buildIndex(tables);
+            this.indexKey = cacheKey;
+        }
+
+        const ranked = this.score(this.index, this.expandQuery(question, { ...DEFAULT_SYNONYMS, ...synonyms }))
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score);
+        const chosen = new Map();
+        for (const table of pinned) {
+            if (tables.some(t => t.fullName === table)) chosen.set(table, { table, score: null, reason: "conversation" });
+        }
+        if (ranked.length === 0 && chosen.size === 0) {
+            return { mode: "full", tables: tables.map(t => ({ table: t.fullName, score: null, reason: "no_match" })) };
+        }
+
+        const threshold = (ranked[0]?.score || 0) * MIN_RELATIVE_SCORE;
+        for (const { table, score } of ranked.slice(0, this.topK)) {
+            if (score < threshold || chosen.has(table)) continue;
+            chosen.set(table, { table, score: Math.round(score * 100) / 100, reason: "match" });
+        }
+
+        const byName = new Map(tables.map(t => [t.tableName, t]));
+        const byFullName = new Map(tables.map(t => [t.fullName, t]));
+        for (const { table } of Array.from(chosen.values())) {
+            for (const join of this.findJoinTables(byFullName.get(table).tableInfo, byName)) {
+                if (!chosen.has(join)) chosen.set(join, { table: join, score: null, reason: `join:${table}` });
+            }
+        }
+
+        return { mode: "retrieval", tables: Array.from(chosen.values()) };
+    }
+}
+
+module.exports = new SchemaRetrievalService();
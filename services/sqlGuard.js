@@ -0,0 +1,709 @@
+// Read-only SQL guard. Tokenizes and walks the statement structure (CTEs,
+// subqueries, joins) so that validation does not depend on prefix matching.
+
+const WRITE_KEYWORDS = new Set([
+    "INSERT", "UPDATE", "DELETE", "DROP", "CREATE", "ALTER", "TRUNCATE",
+    "GRANT", "REVOKE", "MERGE", "CALL", "EXECUTE", "PREPARE", "DEALLOCATE",
+]);
+
+const QUERY_START_KEYWORDS = new Set(["SELECT", "WITH", "VALUES"]);
+
+const CLAUSE_KEYWORDS = new Set([
+    "FROM", "WHERE", "GROUP", "HAVING", "WINDOW", "ORDER", "LIMIT",
+    "OFFSET", "FETCH", "UNION", "INTERSECT", "EXCEPT",
+]);
+
+const JOIN_KEYWORDS = new Set(["JOIN", "INNER", "LEFT", "RIGHT", "FULL", "CROSS", "NATURAL", "OUTER"]);
+
+const NON_ALIAS_KEYWORDS = new Set([
+    ...CLAUSE_KEYWORDS, ...JOIN_KEYWORDS,
+    "ON", "USING", "TABLESAMPLE", "FOR", "MATCH_RECOGNIZE", "AS",
+]);
+
+const TWO_CHAR_OPERATORS = new Set(["<=", ">=", "<>", "!=", "||", "->", "=>"]);
+
+class SqlGuardError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = "SqlGuardError";
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return { code: this.code, reason: this.message, ...this.details };
+    }
+}
+
+class SqlParser {
+    constructor(sql, tokens, defaults) {
+        this.sql = sql;
+        this.tokens = tokens;
+        this.defaults = defaults;
+        this.pos = 0;
+        this.tables = [];
+        this.ctes = [];
+        this.cteScopes = [];
+        this.selectItems = [];
+        // Parts of the query whose output columns are named by position rather than by their
+        // select items: later set-operation branches, UNNEST, and relations or CTEs given a
+        // column alias list. See region().
+        this.renamed = [];
+        this.cteRefs = [];
+        this.cteBodies = new Map();
+        // Catalog named by SHOW TABLES FROM catalog.schema / SHOW SCHEMAS FROM catalog
+        this.showCatalog = null;
+    }
+
+    // ---- token helpers ----
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || null;
+    }
+
+    next() {
+        return this.tokens[this.pos++] || null;
+    }
+
+    isWord(token, ...keywords) {
+        return !!token && token.type === "word" && keywords.includes(token.upper);
+    }
+
+    isPunct(token, value) {
+        return !!token && token.type === "punct" && token.value === value;
+    }
+
+    acceptWord(...keywords) {
+        if (this.isWord(this.peek(), ...keywords)) return this.next();
+        return null;
+    }
+
+    acceptPunct(value) {
+        if (this.isPunct(this.peek(), value)) return this.next();
+        return null;
+    }
+
+    expectWord(keyword) {
+        const token = this.acceptWord(keyword);
+        if (!token) throw this.unexpected(`Expected ${keyword}`);
+        return token;
+    }
+
+    expectPunct(value) {
+        const token = this.acceptPunct(value);
+        if (!token) throw this.unexpected(`Expected "${value}"`);
+        return token;
+    }
+
+    unexpected(prefix) {
+        const token = this.peek();
+        const found = token ? `"${token.value}"` : "end of statement";
+        return new SqlGuardError("parse_error", `${prefix} but found ${found}`, {
+            position: token ? token.start : this.sql.length,
+        });
+    }
+
+    // ---- statements ----
+
+    parseStatement() {
+        const first = this.peek();
+
+        if (this.isWord(first, "EXPLAIN")) {
+            this.next();
+            this.acceptWord("ANALYZE");
+            this.acceptWord("VERBOSE");
+            if (this.isPunct(this.peek(), "(") && this.isWord(this.peek(1), "TYPE", "FORMAT")) {
+                this.skipGroup();
+            }
+            this.parseStatement();
+            return "explain";
+        }
+
+        if (this.isWord(first, "DESCRIBE", "DESC")) {
+            this.next();
+            if (this.isWord(this.peek(), "INPUT", "OUTPUT")) {
+                throw new SqlGuardError("statement_not_allowed", "DESCRIBE INPUT/OUTPUT of prepared statements is not allowed.");
+            }
+            this.parseTableName();
+            return "describe";
+        }
+
+        if (this.isWord(first, "SHOW")) {
+            this.next();
+            this.parseShow();
+            return "show";
+        }
+
+        if (this.isWord(first, ...QUERY_START_KEYWORDS, "TABLE") || this.isPunct(first, "(")) {
+            this.parseQuery();
+            return "select";
+        }
+
+        throw new SqlGuardError(
+            "statement_not_allowed",
+            "Only SELECT, SHOW, DESCRIBE, and EXPLAIN queries are allowed.",
+            { statement: first ? first.value.toUpperCase() : "" }
+        );
+    }
+
+    parseShow() {
+        if (this.acceptWord("COLUMNS")) {
+            if (!this.acceptWord("FROM", "IN")) throw this.unexpected("Expected FROM or IN");
+            this.parseTableName();
+        } else if (this.acceptWord("CREATE")) {
+            if (this.acceptWord("MATERIALIZED")) this.expectWord("VIEW");
+            else if (!this.acceptWord("TABLE", "VIEW")) throw this.unexpected("Expected TABLE or VIEW");
+            this.parseTableName();
+        } else if (this.acceptWord("STATS")) {
+            this.expectWord("FOR");
+            if (this.acceptPunct("(")) {
+                this.parseQuery();
+                this.expectPunct(")");
+            } else {
+                this.parseTableName();
+            }
+        } else {
+            // SHOW TABLES / SCHEMAS / CATALOGS / FUNCTIONS ... do not read table data
+            const kind = this.peek()?.upper;
+            while (this.peek()) {
+                const token = this.next();
+                const name = this.peek();
+                if (this.showCatalog || !this.isWord(token, "FROM", "IN") || !name || !["word", "ident"].includes(name.type)) continue;
+                // A lone name after SHOW TABLES FROM is a schema of the default catalog
+                if (this.isPunct(this.peek(1), ".") || kind === "SCHEMAS") this.showCatalog = name.value.toLowerCase();
+            }
+        }
+    }
+
+    // ---- queries ----
+
+    parseQuery() {
+        const scope = new Set();
+        this.cteScopes.push(scope);
+        try {
+            if (this.acceptWord("WITH")) {
+                const recursive = this.acceptWord("RECURSIVE");
+                do {
+                    const name = this.parseIdentifier();
+                    this.ctes.push(name);
+                    const hasColumnList = this.isPunct(this.peek(), "(");
+                    if (hasColumnList) this.skipGroup();
+                    this.expectWord("AS");
+                    this.expectPunct("(");
+                    // Only a recursive CTE may read itself; otherwise `secret AS (SELECT * FROM secret)`
+                    // reads the real table and must be checked like one
+                    if (recursive) scope.add(name);
+                    const start = this.mark();
+                    this.parseQuery();
+                    const body = this.region(start);
+                    this.cteBodies.set(name, [...(this.cteBodies.get(name) || []), body]);
+                    if (hasColumnList) this.renamed.push(body);
+                    scope.add(name);
+                    this.expectPunct(")");
+                } while (this.acceptPunct(","));
+            }
+            this.parseQueryBody();
+        } finally {
+            this.cteScopes.pop();
+        }
+    }
+
+    parseQueryBody() {
+        this.parseQueryTerm();
+        while (this.acceptWord("UNION", "INTERSECT", "EXCEPT")) {
+            this.acceptWord("ALL", "DISTINCT");
+            // Rows of later branches come out under the first branch's column names
+            const start = this.mark();
+            this.parseQueryTerm();
+            this.renamed.push(this.region(start));
+        }
+        if (this.acceptWord("ORDER")) {
+            this.expectWord("BY");
+            this.skipExpression();
+        }
+        if (this.acceptWord("OFFSET")) this.skipExpression();
+        if (this.acceptWord("LIMIT")) this.skipExpression();
+        if (this.acceptWord("FETCH")) this.skipExpression();
+    }
+
+    parseQueryTerm() {
+        const token = this.peek();
+        if (this.isWord(token, "SELECT")) {
+            this.parseSelect();
+        } else if (this.isWord(token, "VALUES")) {
+            this.next();
+            this.skipExpression();
+        } else if (this.isWord(token, "TABLE")) {
+            this.next();
+            this.parseTableName();
+        } else if (this.isPunct(token, "(")) {
+            this.next();
+            this.parseQuery();
+            this.expectPunct(")");
+        } else if (token && token.type === "word" && WRITE_KEYWORDS.has(token.upper)) {
+            throw writeError(token);
+        } else {
+            throw this.unexpected("Expected SELECT, VALUES, TABLE or a subquery");
+        }
+    }
+
+    parseSelect() {
+        this.expectWord("SELECT");
+        this.acceptWord("DISTINCT", "ALL");
+        const listStart = this.pos;
+        this.skipExpression();
+        this.selectItems.push(...splitTopLevel(this.tokens.slice(listStart, this.pos)));
+        if (this.acceptWord("FROM")) this.parseFromList();
+        if (this.acceptWord("WHERE")) this.skipExpression();
+        if (this.acceptWord("GROUP")) {
+            this.expectWord("BY");
+            this.skipExpression();
+        }
+        if (this.acceptWord("HAVING")) this.skipExpression();
+        if (this.acceptWord("WINDOW")) this.skipExpression();
+    }
+
+    parseFromList() {
+        this.parseRelation();
+        for (;;) {
+            if (this.acceptPunct(",")) {
+                this.parseRelation();
+                continue;
+            }
+            if (this.isWord(this.peek(), ...JOIN_KEYWORDS)) {
+                while (this.acceptWord("INNER", "LEFT", "RIGHT", "FULL", "OUTER", "CROSS", "NATURAL"));
+                this.expectWord("JOIN");
+                this.parseRelation();
+                if (this.acceptWord("ON")) {
+                    this.skipExpression({ words: JOIN_KEYWORDS, comma: true });
+                } else if (this.acceptWord("USING")) {
+                    this.skipGroup();
+                }
+                continue;
+            }
+            break;
+        }
+    }
+
+    parseRelation() {
+        const token = this.peek();
+        const start = this.mark();
+        let ref = null;
+
+        if (this.isPunct(token, "(")) {
+            this.next();
+            if (this.isWord(this.peek(), ...QUERY_START_KEYWORDS, "TABLE")) {
+                this.parseQuery();
+            } else {
+                this.parseFromList();
+            }
+            this.expectPunct(")");
+        } else if (this.isWord(token, "UNNEST")) {
+            this.next();
+            const args = this.mark();
+            this.skipGroup();
+            this.renamed.push(this.region(args));
+            if (this.acceptWord("WITH")) this.expectWord("ORDINALITY");
+        } else if (this.isWord(token, "LATERAL")) {
+            this.next();
+            this.expectPunct("(");
+            this.parseQuery();
+            this.expectPunct(")");
+        } else if (this.isWord(token, "TABLE") && this.isPunct(this.peek(1), "(")) {
+            throw new SqlGuardError("table_function", "Table function calls are not allowed.", {
+                position: token.start,
+            });
+        } else {
+            ref = this.parseTableName();
+            ref.context = "relation";
+            if (this.isPunct(this.peek(), "(")) {
+                throw new SqlGuardError("table_function", `Table function call "${ref.name}(...)" is not allowed.`, {
+                    position: token.start,
+                });
+            }
+        }
+
+        const relation = this.region(start);
+        const alias = this.parseAlias();
+        if (ref && alias) ref.alias = alias;
+        if (alias && this.isPunct(this.peek(-1), ")")) {
+            // `t AS x(a, b)` renames every column of a table, whatever is selected
+            this.renamed.push({ ...relation, wildcard: Boolean(ref && !ref.cte) });
+        }
+
+        if (this.acceptWord("TABLESAMPLE")) {
+            this.next();
+            this.skipGroup();
+        }
+        return ref;
+    }
+
+    parseAlias() {
+        let alias = null;
+        if (this.acceptWord("AS")) {
+            alias = this.parseIdentifier();
+        } else {
+            const token = this.peek();
+            if (token && (token.type === "ident" || (token.type === "word" && !NON_ALIAS_KEYWORDS.has(token.upper)))) {
+                alias = this.parseIdentifier();
+            }
+        }
+        if (alias && this.isPunct(this.peek(), "(")) this.skipGroup();
+        return alias;
+    }
+
+    parseTableName() {
+        const startIndex = this.pos;
+        const parts = [this.parseIdentifier()];
+        while (this.acceptPunct(".")) parts.push(this.parseIdentifier());
+        if (parts.length > 3) {
+            throw new SqlGuardError("parse_error", `Invalid table name "${parts.join(".")}"`, {
+                position: this.tokens[startIndex].start,
+            });
+        }
+
+        const name = parts.join(".");
+        if (parts.length === 1 && this.isCte(parts[0])) {
+            this.cteRefs.push(name);
+            return { cte: true, name, alias: null };
+        }
+
+        const [table, schema = this.defaults.schema, catalog = this.defaults.catalog] = [...parts].reverse();
+        const ref = {
+            catalog: catalog || null,
+            schema: schema || null,
+            table,
+            fullName: [catalog, schema, table].filter(Boolean).join("."),
+            name,
+            alias: null,
+            start: this.tokens[startIndex].start,
+            end: this.tokens[this.pos - 1].end,
+        };
+        this.tables.push(ref);
+        return ref;
+    }
+
+    parseIdentifier() {
+        const token = this.peek();
+        if (!token || (token.type !== "word" && token.type !== "ident")) {
+            throw this.unexpected("Expected an identifier");
+        }
+        this.next();
+        return token.value.toLowerCase();
+    }
+
+    isCte(name) {
+        return this.cteScopes.some(scope => scope.has(name));
+    }
+
+    // ---- renamed regions ----
+
+    mark() {
+        return { pos: this.pos, tables: this.tables.length, items: this.selectItems.length, cteRefs: this.cteRefs.length };
+    }
+
+    // What was parsed since `start`: its tokens, tables, select items and the CTEs it reads
+    region(start) {
+        return {
+            tokens: this.tokens.slice(start.pos, this.pos),
+            tables: this.tables.slice(start.tables),
+            selectItems: this.selectItems.slice(start.items),
+            cteRefs: this.cteRefs.slice(start.cteRefs),
+            wildcard: false,
+        };
+    }
+
+    // Folds in the bodies of the CTEs a region reads, since their columns are renamed along with it
+    expandRegion(region, seen = new Set()) {
+        const expanded = { ...region, tokens: [...region.tokens], tables: [...region.tables], selectItems: [...region.selectItems] };
+        for (const name of region.cteRefs) {
+            if (seen.has(name)) continue;
+            seen.add(name);
+            for (const body of this.cteBodies.get(name) || []) {
+                const inner = this.expandRegion(body, seen);
+                expanded.tokens.push(...inner.tokens);
+                expanded.tables.push(...inner.tables);
+                expanded.selectItems.push(...inner.selectItems);
+            }
+        }
+        return expanded;
+    }
+
+    // ---- expressions ----
+
+    // Consumes an expression (or expression list) up to the next clause keyword,
+    // descending into nested subqueries so their tables are collected too.
+    skipExpression(stops = {}) {
+        const stopWords = stops.words || new Set();
+        for (;;) {
+            const token = this.peek();
+            if (!token || this.isPunct(token, ")")) return;
+            if (stops.comma && this.isPunct(token, ",")) return;
+            if (token.type === "word") {
+                const isDistinctFrom = token.upper === "FROM" && this.isWord(this.peek(-1), "DISTINCT");
+                if (!isDistinctFrom && (CLAUSE_KEYWORDS.has(token.upper) || stopWords.has(token.upper))) return;
+            }
+            if (this.isPunct(token, "(")) {
+                this.skipGroup();
+            } else {
+                this.next();
+            }
+        }
+    }
+
+    skipGroup() {
+        this.expectPunct("(");
+        if (this.isWord(this.peek(), ...QUERY_START_KEYWORDS)) {
+            this.parseQuery();
+            this.expectPunct(")");
+            return;
+        }
+        for (;;) {
+            const token = this.peek();
+            if (!token) throw this.unexpected('Expected ")"');
+            if (this.isPunct(token, ")")) {
+                this.next();
+                return;
+            }
+            if (this.isPunct(token, "(")) {
+                this.skipGroup();
+            } else {
+                this.next();
+            }
+        }
+    }
+}
+
+// Splits a token list on commas that are not nested inside parentheses
+function splitTopLevel(tokens) {
+    const items = [[]];
+    let depth = 0;
+    for (const token of tokens) {
+        if (token.type === "punct" && token.value === "(") depth++;
+        if (token.type === "punct" && token.value === ")") depth--;
+        if (depth === 0 && token.type === "punct" && token.value === ",") {
+            items.push([]);
+        } else {
+            items[items.length - 1].push(token);
+        }
+    }
+    return items.filter(item => item.length > 0);
+}
+
+function writeError(token) {
+    return new SqlGuardError(
+        "write_operation",
+        `Only SELECT queries are allowed. Write operations are forbidden (found ${token.upper}).`,
+        { keyword: token.upper, position: token.start }
+    );
+}
+
+class SqlGuard {
+    tokenize(sql) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < sql.length) {
+            const ch = sql[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (ch === "-" && sql[i + 1] === "-") {
+                const newline = sql.indexOf("\n", i);
+                i = newline === -1 ? sql.length : newline + 1;
+                continue;
+            }
+
+            if (ch === "/" && sql[i + 1] === "*") {
+                const close = sql.indexOf("*/", i + 2);
+                if (close === -1) {
+                    throw new SqlGuardError("parse_error", "Unterminated block comment", { position: i });
+                }
+                i = close + 2;
+                continue;
+            }
+
+            if (ch === "'" || ch === '"') {
+                const start = i;
+                let value = "";
+                i++;
+                for (;;) {
+                    if (i >= sql.length) {
+                        const what = ch === "'" ? "string literal" : "quoted identifier";
+                        throw new SqlGuardError("parse_error", `Unterminated ${what}`, { position: start });
+                    }
+                    if (sql[i] === ch) {
+                        if (sql[i + 1] === ch) {
+                            value += ch;
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        break;
+                    }
+                    value += sql[i++];
+                }
+                tokens.push({ type: ch === "'" ? "string" : "ident", value, start, end: i });
+                continue;
+            }
+
+            if (/[A-Za-z_]/.test(ch)) {
+                const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(i));
+                const value = match[0];
+                tokens.push({ type: "word", value, upper: value.toUpperCase(), start: i, end: i + value.length });
+                i += value.length;
+                continue;
+            }
+
+            if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(sql[i + 1] || ""))) {
+                const match = /^(\d*\.?\d*)([eE][+-]?\d+)?/.exec(sql.slice(i));
+                const value = match[0];
+                tokens.push({ type: "number", value, start: i, end: i + value.length });
+                i += value.length;
+                continue;
+            }
+
+            const pair = sql.slice(i, i + 2);
+            const value = TWO_CHAR_OPERATORS.has(pair) ? pair : ch;
+            tokens.push({ type: "punct", value, start: i, end: i + value.length });
+            i += value.length;
+        }
+
+        return tokens;
+    }
+
+    splitStatements(tokens) {
+        const statements = [[]];
+        for (const token of tokens) {
+            if (token.type === "punct" && token.value === ";") {
+                statements.push([]);
+            } else {
+                statements[statements.length - 1].push(token);
+            }
+        }
+        return statements.filter(statement => statement.length > 0);
+    }
+
+    checkWriteKeywords(tokens) {
+        tokens.forEach((token, index) => {
+            if (token.type !== "word" || !WRITE_KEYWORDS.has(token.upper)) return;
+            // SHOW CREATE TABLE only reads DDL text
+            if (token.upper === "CREATE" && index === 1 && tokens[0].upper === "SHOW") return;
+            throw writeError(token);
+        });
+    }
+
+    analyze(sql, defaults = {}) {
+        if (typeof sql !== "string" || sql.trim() === "") {
+            throw new SqlGuardError("empty_statement", "SQL statement is empty.");
+        }
+
+        const statements = this.splitStatements(this.tokenize(sql));
+        if (statements.length === 0) {
+            throw new SqlGuardError("empty_statement", "SQL statement is empty.");
+        }
+        if (statements.length > 1) {
+            throw new SqlGuardError(
+                "multiple_statements",
+                "Only a single SQL statement can be executed at a time.",
+                { statementCount: statements.length }
+            );
+        }
+
+        const tokens = statements[0];
+        this.checkWriteKeywords(tokens);
+
+        const parser = new SqlParser(sql, tokens, defaults);
+        const statementType = parser.parseStatement();
+        if (parser.peek()) throw parser.unexpected("Expected end of statement");
+
+        return {
+            statementType,
+            tables: parser.tables,
+            tableNames: [...new Set(parser.tables.map(t => t.fullName))],
+            catalogs: [...new Set([...parser.tables.map(t => t.catalog.toLowerCase()), parser.showCatalog].filter(Boolean))],
+            ctes: parser.ctes,
+            identifiers: new Set(tokens
+                .filter(t => t.type === "word" || t.type === "ident")
+                .map(t => t.value.toLowerCase())),
+            selectItems: parser.selectItems,
+            // [{ tokens, tableNames, selectItems, wildcard }]; see SqlParser.renamed
+            renamed: parser.renamed.map((region) => {
+                const expanded = parser.expandRegion(region);
+                return {
+                    tokens: expanded.tokens,
+                    tableNames: [...new Set(expanded.tables.map(t => t.fullName))],
+                    selectItems: expanded.selectItems,
+                    wildcard: region.wildcard,
+                };
+            }),
+        };
+    }
+
+    // Removes the outermost trailing `LIMIT n` so exports can fetch the full result.
+    // Limits inside subqueries and CTEs are part of the query's meaning and stay.
+    stripLimit(sql) {
+        const tokens = this.splitStatements(this.tokenize(sql))[0] || [];
+        const last = tokens.length - 1;
+        if (last < 1 || tokens[last - 1].upper !== "LIMIT") return sql;
+        if (tokens[last].type !== "number" && tokens[last].upper !== "ALL") return sql;
+
+        let depth = 0;
+        for (const token of tokens.slice(0, last - 1)) {
+            if (token.type !== "punct") continue;
+            if (token.value === "(") depth++;
+            if (token.value === ")") depth--;
+        }
+        if (depth !== 0) return sql;
+
+        return sql.slice(0, tokens[last - 1].start).trimEnd();
+    }
+
+    // Splits the outermost `ORDER BY ... [OFFSET n] [LIMIT n]` into { sql, ordered, offset,
+    // limit }, where `sql` keeps the ORDER BY but not the OFFSET and LIMIT, so a page can be
+    // cut with a new OFFSET/LIMIT without losing the order. FETCH FIRST is not handled (null).
+    splitPaging(sql) {
+        const tokens = this.splitStatements(this.tokenize(sql))[0] || [];
+        let depth = 0;
+        let ordered = false;
+        let trailing = -1;
+        tokens.forEach((token, index) => {
+            if (token.type === "punct" && token.value === "(") depth++;
+            if (token.type === "punct" && token.value === ")") depth--;
+            if (depth !== 0 || token.type !== "word") return;
+            if (token.upper === "ORDER" && tokens[index + 1]?.upper === "BY") {
+                ordered = true;
+                trailing = -1;
+            }
+            if (["OFFSET", "LIMIT", "FETCH"].includes(token.upper) && trailing === -1) trailing = index;
+        });
+        if (trailing === -1) return { sql, ordered, offset: 0, limit: null };
+
+        let offset = 0;
+        let limit = null;
+        let i = trailing;
+        if (tokens[i]?.upper === "OFFSET") {
+            if (tokens[i + 1]?.type !== "number") return null;
+            offset = Number(tokens[i + 1].value);
+            i += 2;
+            if (tokens[i]?.upper === "ROW" || tokens[i]?.upper === "ROWS") i++;
+        }
+        if (tokens[i]?.upper === "LIMIT") {
+            if (tokens[i + 1]?.type === "number") {
+                limit = Number(tokens[i + 1].value);
+            } else if (tokens[i + 1]?.upper !== "ALL") {
+                return null;
+            }
+            i += 2;
+        }
+        if (i !== tokens.length || !Number.isInteger(offset) || (limit !== null && !Number.isInteger(limit))) return null;
+
+        return { sql: sql.slice(0, tokens[trailing].start).trimEnd(), ordered, offset, limit };
+    }
+}
+
+module.exports = new SqlGuard();
+module.exports.SqlGuardError = SqlGuardError;
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const { SqlGuardError } = require("./sqlGuard");
+
+const DEFAULT_DESCRIPTION = "Configure which tables the AI has access to. Set 'enabled' to true/false for each table.";
+
+class TableAccessError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "TableAccessError";
+        this.status = status;
+    }
+}
+
+class TableAccessService {
+    constructor() {
+        this.configPath = path.join(__dirname, "..", "tableAccess.json");
+        this.auditPath = process.env.TABLE_ACCESS_AUDIT_FILE || path.join(__dirname, "..", "data", "tableAccessAudit.jsonl");
+        this.config = null;
+        this.loadedMtime = null;
+        this.loadError = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // A file that exists but does not parse keeps the last good config; with none loaded
+    // yet every table is treated as disabled rather than silently enabling everything
+    load() {
+        let mtime = null;
+        try {
+            mtime = fs.statSync(this.configPath).mtimeMs;
+            const config = JSON.parse(fs.readFileSync(this.configPath, "utf-8"));
+            if (!config || typeof config !== "object" || Array.isArray(config)) {
+                throw new Error("expected a JSON object");
+            }
+            this.config = config;
+            this.loadedMtime = mtime;
+            this.loadError = null;
+            console.log("Table access config loaded successfully");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                console.warn("Could not load table access config:", error.message);
+                this.config = null;
+                this.loadedMtime = null;
+                this.loadError = null;
+            } else {
+                console.error(`Invalid table access config, ${this.config ? "keeping the last valid version" : "denying all tables"}:`, error.message);
+                this.loadedMtime = mtime;
+                this.loadError = { message: error.message, at: new Date().toISOString() };
+            }
+        }
+        return this.config;
+    }
+
+    getStatus() {
+        this.getConfig();
+        return { loaded: this.config !== null, error: this.loadError };
+    }
+
+    // Re-reads the file only when it changed on disk, so it is cheap to call per query
+    getConfig() {
+        try {
+            const mtime = fs.statSync(this.configPath).mtimeMs;
+            if (mtime !== this.loadedMtime) this.load();
+        } catch (error) {
+            if (this.loadedMtime !== null) this.load();
+        }
+        return this.config;
+    }
+
+    getTableConfig(catalogSchema, table) {
+        const config = this.getConfig() || {};
+        const catalogAccess = config[catalogSchema.toLowerCase()] || {};
+        return catalogAccess[table.toLowerCase()] || null;
+    }
+
+    // Tables without an entry are treated as enabled, matching the prompt's [ACCESSIBLE] labels
+    isTableEnabled(fullName) {
+        if (!this.getConfig() && this.loadError) return false;
+        const parts = fullName.toLowerCase().split(".");
+        if (parts.length !== 3) return true;
+        const tableConfig = this.getTableConfig(`${parts[0]}.${parts[1]}`, parts[2]);
+        return tableConfig ? tableConfig.enabled !== false : true;
+    }
+
+    // Applies `changes` ({ enabled, description }) to one table entry and writes the file
+    // atomically (temp file + rename). Writes are serialized; each is appended to the audit log.
+    // Refused while the file on disk does not parse: rewriting it from the last good version
+    // (or from nothing) would drop every entry edited since.
+    updateTable(catalogSchema, table, changes, actor) {
+        const write = this.writeQueue.then(async () => {
+            const current = this.getConfig();
+            if (this.loadError) {
+                throw new TableAccessError(409, `tableAccess.json is invalid (${this.loadError.message}); fix the file before editing tables`);
+            }
+            const config = JSON.parse(JSON.stringify(current || { description: DEFAULT_DESCRIPTION }));
+            const catalogKey = catalogSchema.toLowerCase();
+            const tableKey = table.toLowerCase();
+            const before = config[catalogKey]?.[tableKey] ? { ...config[catalogKey][tableKey] } : null;
+
+            config[catalogKey] = config[catalogKey] || {};
+            const after = { enabled: true, ...before };
+            if (changes.enabled !== undefined) after.enabled = changes.enabled;
+            if (changes.description !== undefined) after.description = changes.description;
+            config[catalogKey][tableKey] = after;
+
+            const tmp = `${this.configPath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(config, null, 4) + "\n");
+            await fs.promises.rename(tmp, this.configPath);
+            this.load();
+
+            const entry = {
+                timestamp: new Date().toISOString(),
+                user: actor,
+                table: `${catalogKey}.${tableKey}`,
+                before,
+                after,
+            };
+            await fs.promises.mkdir(path.dirname(this.auditPath), { recursive: true });
+            await fs.promises.appendFile(this.auditPath, JSON.stringify(entry) + "\n");
+            return entry;
+        });
+        // A failed write must not block the ones queued after it
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    async getAuditLog(limit = 100) {
+        try {
+            const content = await fs.promises.readFile(this.auditPath, "utf-8");
+            return content.split("\n").filter(Boolean).slice(-limit).map(line => JSON.parse(line)).reverse();
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+    }
+
+    assertTablesAccessible(tableNames) {
+        for (const fullName of tableNames) {
+            if (!this.isTableEnabled(fullName)) {
+                throw new SqlGuardError(
+                    "table_not_accessible",
+                    `Access to table ${fullName} is disabled. Enable it in tableAccess.json to query it.`,
+                    { table: fullName }
+                );
+            }
+        }
+    }
+}
+
+module.exports = new TableAccessService();
+module.exports.TableAccessError = TableAccessError;
@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const { Trino, BasicAuth } = require("trino-client");
+
+const DEFAULT_MAX_POOL_SIZE = 10;
+const DEFAULT_IDLE_MS = 10 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL_MS = 60 * 1000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const DEFAULT_SOURCE = "trino-chatbot";
+// trino-client's own default
+const DEFAULT_SERVER = "http://localhost:8080";
+
+// Network failures and auth/gateway rejections mean the pooled client should not be reused
+const CONNECTION_ERROR_CODES = new Set(["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "CERT_HAS_EXPIRED"]);
+const CONNECTION_ERROR_STATUSES = new Set([401, 403, 502, 503, 504]);
+
+function isConnectionError(error) {
+    return CONNECTION_ERROR_CODES.has(error?.code) || CONNECTION_ERROR_STATUSES.has(error?.response?.status);
+}
+
+// trinoConnections.json: named connections, each serving a list of catalogs. Catalogs not
+// listed use the "default" connection. Secrets are read from the environment via
+// passwordEnv / tokenEnv so the file itself can be shared.
+// Without the file, one connection is built from TRINO_SERVER / TRINO_USER / TRINO_PASSWORD.
+class TrinoConnectionService {
+    constructor() {
+        this.configPath = process.env.TRINO_CONNECTIONS_FILE || path.join(__dirname, "..", "trinoConnections.json");
+        this.maxPoolSize = parseInt(process.env.TRINO_POOL_MAX_SIZE, 10) || DEFAULT_MAX_POOL_SIZE;
+        this.idleMs = parseInt(process.env.TRINO_POOL_IDLE_MS, 10) || DEFAULT_IDLE_MS;
+        // Map iteration order is the LRU order: getClient() moves a client to the end
+        this.pool = new Map();
+        this.health = new Map();
+        this.load();
+
+        this.sweepTimer = setInterval(() => {
+            this.sweep().catch(error => console.error("Connection pool sweep failed:", error.message));
+        }, HEALTH_CHECK_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    // Invalid config throws: starting with a half-understood connection setup would send
+    // queries to the wrong server or with the wrong credentials
+    load() {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(this.configPath, "utf-8"));
+            console.log(`Loaded Trino connections from ${this.configPath}`);
+        } catch (error) {
+            if (error.code !== "ENOENT") throw new Error(`Invalid Trino connection config ${this.configPath}: ${error.message}`);
+            config = {
+                default: "default",
+                connections: {
+                    default: {
+                        server: process.env.TRINO_SERVER || DEFAULT_SERVER,
+                        user: process.env.TRINO_USER,
+                        passwordEnv: "TRINO_PASSWORD",
+                    },
+                },
+            };
+        }
+
+        const connections = config.connections || {};
+        if (typeof connections !== "object" || Object.keys(connections).length === 0) {
+            throw new Error("Trino connection config needs at least one entry in \"connections\"");
+        }
+        this.defaultConnection = config.default || Object.keys(connections)[0];
+        if (!connections[this.defaultConnection]) {
+            throw new Error(`Default Trino connection "${this.defaultConnection}" is not defined`);
+        }
+
+        this.connections = {};
+        this.catalogRoutes = new Map();
+        for (const [name, connection] of Object.entries(connections)) {
+            this.connections[name] = this.resolveConnection(name, connection);
+            for (const catalog of connection.catalogs || []) {
+                const key = String(catalog).toLowerCase();
+                if (this.catalogRoutes.has(key)) {
+                    throw new Error(`Catalog ${key} is assigned to both ${this.catalogRoutes.get(key)} and ${name}`);
+                }
+                this.catalogRoutes.set(key, name);
+            }
+        }
+        this.pool.clear();
+    }
+
+    resolveConnection(name, connection) {
+        if (!connection.server) throw new Error(`Trino connection ${name} has no server`);
+        const password = connection.password ?? (connection.passwordEnv ? process.env[connection.passwordEnv] : undefined);
+        const token = connection.token ?? (connection.tokenEnv ? process.env[connection.tokenEnv] : undefined);
+        if (password && token) throw new Error(`Trino connection ${name} sets both a password and a token`);
+
+        let ssl;
+        if (connection.caFile || connection.rejectUnauthorized !== undefined) {
+            ssl = { rejectUnauthorized: connection.rejectUnauthorized !== false };
+            if (connection.caFile) ssl.ca = fs.readFileSync(path.resolve(path.dirname(this.configPath), connection.caFile));
+        }
+
+        return {
+            name,
+            server: connection.server,
+            user: connection.user,
+            password: password || undefined,
+            token: token || undefined,
+            ssl,
+            session: connection.session || undefined,
+            source: connection.source || DEFAULT_SOURCE,
+        };
+    }
+
+    // Name of the connection serving `catalog`
+    route(catalog) {
+        return this.catalogRoutes.get(String(catalog).toLowerCase()) || this.defaultConnection;
+    }
+
+    createClient(connection, catalog, schema) {
+        const options = {
+            server: connection.server,
+            catalog,
+            schema,
+            source: connection.source,
+            session: connection.session,
+            ssl: connection.ssl,
+        };
+        if (connection.token) {
+            // trino-client has no bearer auth type; the header does the same
+            options.extraHeaders = { Authorization: `Bearer ${connection.token}`, "X-Trino-User": connection.user };
+        } else {
+            options.auth = new BasicAuth(connection.user, connection.password);
+        }
+        return Trino.create(options);
+    }
+
+    // Pooled client for a catalog/schema on the connection that serves the catalog
+    getClient(catalog, schema) {
+        const connection = this.connections[this.route(catalog)];
+        const poolKey = `${connection.name}:${catalog}.${schema}`;
+        const pooled = this.pool.get(poolKey);
+        if (pooled) {
+            this.pool.delete(poolKey);
+            this.pool.set(poolKey, { ...pooled, lastUsed: Date.now() });
+            return pooled.client;
+        }
+
+        console.log(`Creating new connection for ${poolKey}`);
+        const client = this.createClient(connection, catalog, schema);
+        // Evicted clients stay usable for queries already running on them
+        while (this.pool.size >= this.maxPoolSize) this.pool.delete(this.pool.keys().next().value);
+        this.pool.set(poolKey, { client, connection: connection.name, createdAt: Date.now(), lastUsed: Date.now() });
+        return client;
+    }
+
+    // Drops a client after a connection failure so the next query starts fresh
+    reportFailure(client, error) {
+        if (!isConnectionError(error)) return;
+        for (const [poolKey, pooled] of this.pool) {
+            if (pooled.client !== client) continue;
+            this.pool.delete(poolKey);
+            this.health.set(pooled.connection, { healthy: false, error: error.message, checkedAt: new Date().toISOString() });
+            console.warn(`Evicted ${poolKey} after a connection error: ${error.message}`);
+        }
+    }
+
+    async checkConnection(name) {
+        const client = this.createClient(this.connections[name]);
+        try {
+            // /v1/info needs no catalog and is what Trino's own clients use as a ping
+            await client.client.request({ url: "/v1/info", method: "GET", timeout: HEALTH_CHECK_TIMEOUT_MS });
+            this.health.set(name, { healthy: true, error: null, checkedAt: new Date().toISOString() });
+        } catch (error) {
+            this.health.set(name, { healthy: false, error: error.message, checkedAt: new Date().toISOString() });
+        }
+        return this.health.get(name);
+    }
+
+    async checkAll() {
+        return Promise.all(Object.keys(this.connections).map(name => this.checkConnection(name)));
+    }
+
+    // Evicts idle clients, then health-checks the connections still in use
+    async sweep() {
+        const now = Date.now();
+        for (const [poolKey, pooled] of this.pool) {
+            if (now - pooled.lastUsed > this.idleMs) this.pool.delete(poolKey);
+        }
+        const inUse = new Set(Array.from(this.pool.values(), pooled => pooled.connection));
+        for (const name of inUse) {
+            const { healthy } = await this.checkConnection(name);
+            if (healthy) continue;
+            for (const [poolKey, pooled] of this.pool) {
+                if (pooled.connection === name) this.pool.delete(poolKey);
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            default: this.defaultConnection,
+            connections: Object.values(this.connections).map(({ name, server, user, token, source }) => ({
+                name,
+                server,
+                user,
+                auth: token ? "bearer" : "basic",
+                source,
+                catalogs: Array.from(this.catalogRoutes).filter(([, route]) => route === name).map(([catalog]) => catalog),
+                health: this.health.get(name) || null,
+            })),
+            pool: { size: this.pool.size, maxSize: this.maxPoolSize, clients: Array.from(this.pool.keys()) },
+        };
+    }
+}
+
+module.exports = new TrinoConnectionService();
+module.exports.isConnectionError = isConnectionError;
@@ -1,14 +1,50 @@
-const { Trino, BasicAuth } = require("trino-client");
 const cacheService = require("./cacheService");
+const sqlGuard = require("./sqlGuard");
+const { SqlGuardError } = sqlGuard;
+const trinoConnectionService = require("./trinoConnectionService");
+const tableAccessService = require("./tableAccessService");
+const columnPolicyService = require("./columnPolicyService");
+const auditService = require("./auditService");
+
+const STREAM_BATCH_SIZE = 500;
+const DEFAULT_QUERY_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Same errorName values Trino reports when it stops a query itself
+function queryStopError(errorName, message) {
+    const error = new Error(message);
+    error.errorName = errorName;
+    error.errorType = "USER_ERROR";
+    return error;
+}
 
 class TrinoService {
     constructor() {
-        this.serverUrl = process.env.TRINO_SERVER;
-        this.user = process.env.TRINO_USER;
         this.schemaCache = null;
-        this.clientPool = new Map();
-        this.maxPoolSize = 10;
         this.catalogSchemas = this.parseCatalogs();
+        this.maxResultRows = parseInt(process.env.MAX_RESULT_ROWS, 10) || 10000;
+        this.runningQueries = new Map();
+        this.revalidating = new Set();
+    }
+
+    // QUERY_TIMEOUT_<ROUTE>_MS overrides QUERY_TIMEOUT_MS for one route (chat, results, export,
+    // backtest, saved, schedule)
+    getQueryTimeout(route) {
+        const override = route && parseInt(process.env[`QUERY_TIMEOUT_${route.toUpperCase()}_MS`], 10);
+        return override || parseInt(process.env.QUERY_TIMEOUT_MS, 10) || DEFAULT_QUERY_TIMEOUT_MS;
+    }
+
+    // Stops a query started by this server; returns false for unknown or finished queries.
+    // With a userId, only that user's queries can be cancelled.
+    cancelQuery(queryId, userId = null) {
+        const running = this.runningQueries.get(queryId);
+        if (!running || (userId && running.userId !== userId)) return false;
+        running.abort.abort(queryStopError("USER_CANCELED", "Query was cancelled."));
+        return true;
+    }
+
+    listRunningQueries(userId = null) {
+        return Array.from(this.runningQueries, ([queryId, { sql, userId: owner, startedAt }]) => ({ queryId, sql, userId: owner, startedAt }))
+            .filter(query => !userId || query.userId === userId);
     }
 
     parseCatalogs() {
@@ -20,86 +56,218 @@ class TrinoService {
     }
 
     async getClient(catalog, schema) {
-        const poolKey = `${catalog}.${schema}`;
-        if (this.clientPool.has(poolKey)) {
-            console.log(`Reusing pooled connection for ${poolKey}`);
-            return this.clientPool.get(poolKey);
-        }
-
-        console.log(`Creating new connection for ${poolKey}`);
-        const client = Trino.create({
-            server: this.serverUrl,
-            catalog: catalog,
-            schema: schema,
-            auth: new BasicAuth(this.user),
-        });
+        return trinoConnectionService.getClient(catalog, schema);
+    }
 
-        if (this.clientPool.size < this.maxPoolSize) {
-            this.clientPool.set(poolKey, client);
+    // Picks the catalog/schema whose connection runs the statement. Every catalog it reads
+    // must be served by the same connection: Trino cannot join across clusters.
+    routeQuery(analysis) {
+        const routes = new Set(analysis.catalogs.map(catalog => trinoConnectionService.route(catalog)));
+        if (routes.size > 1) {
+            throw new SqlGuardError(
+                "cross_connection_query",
+                `The query reads catalogs served by different Trino connections (${analysis.catalogs.join(", ")}); query them separately.`,
+                { catalogs: analysis.catalogs, connections: [...routes] }
+            );
         }
-        return client;
+        const table = analysis.tables[0];
+        if (table) return { catalog: table.catalog, schema: table.schema };
+        const catalog = analysis.catalogs[0];
+        if (catalog) {
+            const configured = this.catalogSchemas.find(cs => cs.catalog.toLowerCase() === catalog);
+            return { catalog, schema: configured?.schema || this.catalogSchemas[0].schema };
+        }
+        return this.catalogSchemas[0];
     }
 
     validateReadOnly(sql) {
-        const forbiddenPatterns = [
-            /^\s*INSERT\s/i, /^\s*UPDATE\s/i, /^\s*DELETE\s/i,
-            /^\s*DROP\s/i, /^\s*CREATE\s/i, /^\s*ALTER\s/i,
-            /^\s*TRUNCATE\s/i, /^\s*GRANT\s/i, /^\s*REVOKE\s/i, /^\s*MERGE\s/i,
-        ];
-
-        for (const pattern of forbiddenPatterns) {
-            if (pattern.test(sql)) {
-                throw new Error("Only SELECT queries are allowed. Write operations are forbidden.");
-            }
-        }
+        // Throws a SqlGuardError with a structured reason when the statement is rejected
+        const { catalog, schema } = this.catalogSchemas[0];
+        return sqlGuard.analyze(sql, { catalog, schema });
+    }
+
+    // Options:
+    //   onColumns(columns, columnTypes) / onRows(rows) - called as Trino returns each chunk, so
+    //     callers can stream results while they are still being fetched. onRows may return a
+    //     promise; fetching waits for it, which lets slow consumers apply backpressure.
+    //   maxRows - hard row cap (MAX_RESULT_ROWS by default). Past it the query is cancelled on
+    //     the coordinator and the result is flagged `truncated`.
+    //   collect - false keeps no rows in memory (and skips the cache); use with onRows.
+    //   refresh - skip the cache lookup but store the new result (stale-while-revalidate).
+    //   timeoutMs / signal - stop the query (and cancel it on the coordinator) after a time
+    //     limit or when the caller aborts. onQueryId(queryId) reports the Trino query id.
+    //   userId - owner of the query, for listing, cancelling and auditing it.
+    //   audit - context for the query audit log ({ source, sessionId, brand, question,
+    //     generatedSql }). Internal lookups (SHOW TABLES, DESCRIBE) pass none and are not audited.
+    async executeQuery(sql, useCache = true, options = {}) {
+        if (!options.audit) return this.runQuery(sql, useCache, options);
 
-        const allowedPatterns = [
-            /^\s*SELECT\s/i, /^\s*WITH\s/i, /^\s*SHOW\s/i,
-            /^\s*DESCRIBE\s/i, /^\s*EXPLAIN\s/i,
-        ];
+        const startTime = Date.now();
+        const trace = { tables: [], queryId: null };
+        const entry = () => ({
+            ...options.audit,
+            userId: options.userId || null,
+            executedSql: sql,
+            tables: trace.tables,
+            queryId: trace.queryId,
+            durationMs: Date.now() - startTime,
+        });
 
-        if (!allowedPatterns.some(pattern => pattern.test(sql))) {
-            throw new Error("Only SELECT, SHOW, DESCRIBE, and EXPLAIN queries are allowed.");
+        try {
+            const result = await this.runQuery(sql, useCache, options, trace);
+            auditService.record({
+                ...entry(),
+                status: "success",
+                rowCount: result.rowCount ?? result.rows.length,
+                truncated: result.truncated || false,
+                cacheHit: result.fromCache,
+            });
+            return result;
+        } catch (error) {
+            auditService.record({
+                ...entry(),
+                status: "error",
+                error: error.message,
+                errorCode: error.code || error.errorName || null,
+                cacheHit: false,
+            });
+            throw error;
         }
-        return true;
     }
 
-    async executeQuery(sql, useCache = true) {
-        this.validateReadOnly(sql);
-
-        if (useCache) {
-            const cached = cacheService.get(sql);
-            if (cached) {
-                return { ...cached, fromCache: true };
+    // `trace` collects the tables and Trino query id for the audit log
+    async runQuery(sql, useCache, options, trace = {}) {
+        const {
+            onColumns, onRows, onQueryId, signal, userId = null,
+            maxRows = this.maxResultRows, collect = true, timeoutMs = this.getQueryTimeout(),
+        } = options;
+        const analysis = this.validateReadOnly(sql);
+        trace.tables = analysis.tableNames.map(name => name.toLowerCase());
+        tableAccessService.assertTablesAccessible(analysis.tableNames);
+        const columnPolicy = columnPolicyService.getPolicy(analysis.tableNames);
+        columnPolicyService.assertQueryAllowed(analysis, columnPolicy);
+
+        const cacheable = useCache && collect;
+        if (cacheable && !options.refresh) {
+            const entry = await cacheService.get(sql);
+            const cached = entry?.value;
+            // A result truncated at a smaller cap cannot answer a request for more rows
+            if (cached && (!cached.truncated || cached.rows.length >= maxRows)) {
+                if (entry.stale) this.revalidate(sql, cached.truncated ? cached.rows.length : this.maxResultRows);
+                const masked = columnPolicyService.applyToResult(cached, columnPolicy);
+                const rows = masked.rows.slice(0, maxRows);
+                const truncated = masked.truncated || masked.rows.length > maxRows;
+                if (onColumns) await onColumns(masked.columns, masked.columnTypes || []);
+                if (onRows) {
+                    for (let i = 0; i < rows.length; i += STREAM_BATCH_SIZE) {
+                        await onRows(rows.slice(i, i + STREAM_BATCH_SIZE));
+                    }
+                }
+                return { ...masked, rows, rowCount: rows.length, truncated, queryId: null, fromCache: true };
             }
         }
 
-        const { catalog, schema } = this.catalogSchemas[0];
+        const { catalog, schema } = this.routeQuery(analysis);
         const client = await this.getClient(catalog, schema);
         const startTime = Date.now();
-        const iter = await client.query(sql);
+
+        // Timeouts, caller aborts and cancelQuery() all go through one controller
+        const abort = new AbortController();
+        const onCallerAbort = () => abort.abort(queryStopError("USER_CANCELED", "Query was cancelled."));
+        if (signal?.aborted) onCallerAbort();
+        signal?.addEventListener("abort", onCallerAbort, { once: true });
+        const timer = setTimeout(() => {
+            abort.abort(queryStopError("EXCEEDED_TIME_LIMIT", `Query exceeded the ${timeoutMs / 1000}s time limit.`));
+        }, timeoutMs);
+        const stopped = new Promise((resolve, reject) => {
+            abort.signal.addEventListener("abort", () => reject(abort.signal.reason), { once: true });
+        });
+        stopped.catch(() => {});
 
         const columns = [];
+        const columnTypes = [];
         const rows = [];
-
-        for await (const chunk of iter) {
-            if (columns.length === 0 && chunk.columns) {
-                chunk.columns.forEach((col) => columns.push(col.name));
+        let rowCount = 0;
+        let truncated = false;
+        let queryId = null;
+        const track = (id) => {
+            queryId = id;
+            trace.queryId = id;
+            this.runningQueries.set(id, { abort, sql, userId, startedAt: new Date(startTime).toISOString() });
+            if (onQueryId) onQueryId(id);
+        };
+
+        try {
+            const iter = await Promise.race([client.query(sql), stopped]);
+            // The iterator skips the initial response, so its id is read from the iterator state
+            if (iter.iter?.queryResult?.id) track(iter.iter.queryResult.id);
+
+            const iterator = iter[Symbol.asyncIterator]();
+            for (;;) {
+                const { value: chunk, done } = await Promise.race([iterator.next(), stopped]);
+                if (done) break;
+                if (!queryId && chunk.id) track(chunk.id);
+                if (chunk.error) {
+                    const queryError = new Error(chunk.error.message);
+                    queryError.errorName = chunk.error.errorName;
+                    queryError.errorType = chunk.error.errorType;
+                    throw queryError;
+                }
+                if (columns.length === 0 && chunk.columns) {
+                    chunk.columns.forEach((col) => {
+                        columns.push(col.name);
+                        columnTypes.push(col.type);
+                    });
+                    if (onColumns) {
+                        const masked = columnPolicyService.applyToResult({ columns, columnTypes, rows: [] }, columnPolicy);
+                        await onColumns(masked.columns, masked.columnTypes);
+                    }
+                }
+                if (chunk.data && chunk.data.length > 0) {
+                    const data = chunk.data.slice(0, maxRows - rowCount);
+                    rowCount += data.length;
+                    if (collect) rows.push(...data);
+                    if (onRows && data.length > 0) {
+                        await onRows(columnPolicyService.applyToResult({ columns, rows: data }, columnPolicy).rows);
+                    }
+                    if (data.length < chunk.data.length) {
+                        truncated = true;
+                        break;
+                    }
+                }
             }
-            if (chunk.data) {
-                rows.push(...chunk.data);
+        } catch (error) {
+            trinoConnectionService.reportFailure(client, error);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", onCallerAbort);
+            if (queryId) this.runningQueries.delete(queryId);
+            // Leaving the loop early does not stop the query on the cluster
+            if (queryId && (truncated || abort.signal.aborted)) {
+                client.cancel(queryId).catch(error => console.warn(`Could not cancel query ${queryId}:`, error.message));
             }
         }
 
-        const result = { columns, rows };
+        const result = { columns, columnTypes, rows, rowCount, truncated };
         const duration = Date.now() - startTime;
-        console.log(`Query executed in ${duration}ms, ${rows.length} rows`);
+        console.log(`Query executed in ${duration}ms, ${rowCount} rows${truncated ? ` (truncated at ${maxRows})` : ""}`);
 
-        if (useCache) {
-            cacheService.set(sql, result);
+        if (cacheable) {
+            await cacheService.set(sql, result, { tables: trace.tables });
         }
 
-        return { ...result, fromCache: false };
+        return { ...columnPolicyService.applyToResult(result, columnPolicy), queryId, fromCache: false };
+    }
+
+    // Stale cache entries are served as-is and refreshed here in the background, once per query
+    revalidate(sql, maxRows) {
+        const key = cacheService.generateKey(sql);
+        if (this.revalidating.has(key)) return;
+        this.revalidating.add(key);
+        this.executeQuery(sql, true, { refresh: true, maxRows, audit: { source: "cache_refresh" } })
+            .catch(error => console.warn("Cache refresh failed:", error.message))
+            .finally(() => this.revalidating.delete(key));
     }
 
     async getTablesFromCatalog(catalog, schema) {
@@ -125,12 +293,16 @@ class TrinoService {
     }
 
     async getTableSchema(catalog, schema, tableName) {
+        tableAccessService.assertTablesAccessible([`${catalog}.${schema}.${tableName}`]);
         const sql = `DESCRIBE ${catalog}.${schema}.${tableName}`;
         const result = await this.executeQuery(sql);
-        return result.rows.map((row) => ({
-            column: row[0], type: row[1],
-            extra: row[2] || "", comment: row[3] || "",
-        }));
+        const fullName = `${catalog}.${schema}.${tableName}`;
+        return result.rows
+            .filter((row) => !columnPolicyService.isColumnDenied(fullName, row[0]))
+            .map((row) => ({
+                column: row[0], type: row[1],
+                extra: row[2] || "", comment: row[3] || "",
+            }));
     }
 
     async getFullSchema() {
@@ -192,8 +364,13 @@ class TrinoService {
     }
 
     getCatalogsInfo() { return this.catalogSchemas; }
-    getCacheStats() { return cacheService.getStats(); }
-    clearCache() { cacheService.clear(); }
+    getConnectionStatus() { return trinoConnectionService.getStatus(); }
+    async checkConnections() { return trinoConnectionService.checkAll(); }
+    async getCacheStats() { return cacheService.getStats(); }
+    // Clears the whole cache, or only the queries reading `table`; returns the number removed
+    async clearCache(table = null) {
+        return table ? cacheService.invalidateTable(table) : cacheService.clear();
+    }
 }
 
 module.exports = new TrinoService();
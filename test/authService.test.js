@@ -0,0 +1,98 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SECRET = "test-secret";
+const API_KEY = "tck_live_example";
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+const usersFile = path.join(directory, "users.json");
+fs.writeFileSync(usersFile, JSON.stringify({
+    users: [
+        { id: "admin", role: "admin", brands: ["*"], apiKeys: [crypto.createHash("sha256").update(API_KEY).digest("hex").toUpperCase()] },
+        { id: "client", name: "Client", brands: ["Acme"] },
+        { id: "agency", brands: ["Acme", "Globex"] },
+    ],
+}));
+process.env.AUTH_USERS_FILE = usersFile;
+process.env.AUTH_JWT_SECRET = SECRET;
+process.env.AUTH_REQUIRED = "true";
+
+const authService = require("../services/authService");
+const { AuthError, hashApiKey } = authService;
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function jwt(claims, { alg = "HS256", secret = SECRET } = {}) {
+    const unsigned = `${encode({ alg, typ: "JWT" })}.${encode(claims)}`;
+    const signature = alg === "none" ? "" : crypto.createHmac("sha256", secret).update(unsigned).digest("base64url");
+    return `${unsigned}.${signature}`;
+}
+
+function authenticate(token) {
+    return authService.authenticate({ authorization: `Bearer ${token}` });
+}
+
+function rejected(token) {
+    assert.throws(() => authenticate(token), error => error instanceof AuthError && error.status === 401);
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test("API keys are matched by their sha256 digest", () => {
+    assert.equal(hashApiKey(API_KEY), crypto.createHash("sha256").update(API_KEY).digest("hex"));
+    assert.equal(authenticate(API_KEY).id, "admin");
+    assert.equal(authService.authenticate({ "x-api-key": API_KEY }).id, "admin");
+    rejected("tck_live_wrong");
+});
+
+test("requests without credentials are rejected", () => {
+    assert.throws(() => authService.authenticate({}), error => error.status === 401);
+});
+
+test("valid HS256 tokens resolve to the user named by sub", () => {
+    const user = authenticate(jwt({ sub: "client", exp: now() + 60 }));
+    assert.deepEqual(user, { id: "client", name: "Client", role: "user", brands: ["Acme"] });
+});
+
+test("tokens with another algorithm, a bad signature or an unknown sub are rejected", () => {
+    rejected(jwt({ sub: "admin" }, { alg: "none" }));
+    rejected(jwt({ sub: "admin" }, { alg: "HS512" }));
+    rejected(jwt({ sub: "admin" }, { secret: "other-secret" }));
+    // Claims swapped after signing
+    const [header, , signature] = jwt({ sub: "client" }).split(".");
+    rejected(`${header}.${encode({ sub: "admin" })}.${signature}`);
+    rejected(jwt({ sub: "nobody" }));
+    rejected("not.a.token");
+});
+
+test("exp and nbf are enforced", () => {
+    rejected(jwt({ sub: "client", exp: now() - 1 }));
+    rejected(jwt({ sub: "client", nbf: now() + 60 }));
+    assert.equal(authenticate(jwt({ sub: "client", nbf: now() - 60, exp: now() + 60 })).id, "client");
+});
+
+test("brand entitlements resolve the scope of a request", () => {
+    const admin = authService.findById("admin");
+    const client = authService.findById("client");
+    const agency = authService.findById("agency");
+
+    // "*" may query everything, unscoped unless a brand is asked for
+    assert.equal(authService.resolveEntitledBrand(admin, undefined), null);
+    assert.equal(authService.resolveEntitledBrand(admin, "Anything"), "Anything");
+
+    // A single brand is forced; others are refused, whatever their case
+    assert.equal(authService.resolveEntitledBrand(client, undefined), "Acme");
+    assert.equal(authService.resolveEntitledBrand(client, " acme "), " acme ");
+    assert.throws(() => authService.resolveEntitledBrand(client, "Globex"), { code: "brand_not_allowed" });
+
+    // Several brands need a choice
+    assert.throws(() => authService.resolveEntitledBrand(agency, undefined), { code: "brand_required" });
+    assert.deepEqual(authService.filterBrands(agency, ["Acme", "Initech", "globex"]), ["Acme", "globex"]);
+});
@@ -0,0 +1,72 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const brandScopeService = require("../services/brandScopeService");
+const sqlGuard = require("../services/sqlGuard");
+
+const BRAND_ID = "11111111-2222-3333-4444-555555555555";
+const SCOPE = { brand: "Acme", brandIds: [BRAND_ID] };
+const FACT = "lakehouse.ap_south1_gold.mv_ads_sales_analysis";
+
+before(() => {
+    // Only the default catalog is needed; the knowledge base is the repo's own
+    brandScopeService.initialize({ getCatalogsInfo: () => [{ catalog: "lakehouse", schema: "ap_south1_gold" }] });
+});
+
+function rejection(sql) {
+    try {
+        brandScopeService.scopeSql(sql, SCOPE);
+    } catch (error) {
+        return error.code;
+    }
+    return null;
+}
+
+// Full names of every table a statement reads, repeats included
+function scopedRelations(sql) {
+    return sqlGuard.analyze(sql, { catalog: "lakehouse", schema: "ap_south1_gold" }).tables.map(t => t.fullName);
+}
+
+test("an unaliased fact table becomes a brand-filtered derived table under its own name", () => {
+    const { sql, scopedTables } = brandScopeService.scopeSql(`SELECT SUM(net_sale) FROM ${FACT}`, SCOPE);
+    assert.deepEqual(scopedTables, [FACT]);
+    assert.match(sql, new RegExp(`^SELECT SUM\\(net_sale\\) FROM \\(SELECT __scoped\\.\\* FROM ${FACT} __scoped JOIN .* WHERE __scope_brand\\.master_brand_id IN \\(CAST\\('${BRAND_ID}' AS uuid\\)\\)\\) mv_ads_sales_analysis$`));
+});
+
+test("an aliased table keeps its alias", () => {
+    const { sql } = brandScopeService.scopeSql(`SELECT s.net_sale FROM ${FACT} AS s`, SCOPE);
+    assert.match(sql, /\) AS s$/);
+    assert.doesNotMatch(sql, /\) mv_ads_sales_analysis AS s/);
+});
+
+test("uuid brand columns are filtered directly", () => {
+    const { sql } = brandScopeService.scopeSql("SELECT * FROM database.global.t_master_brand_product p", SCOPE);
+    assert.equal(sql, `SELECT * FROM (SELECT * FROM database.global.t_master_brand_product WHERE master_brand_id IN (CAST('${BRAND_ID}' AS uuid))) p`);
+});
+
+test("every reference is scoped: CTEs, joins and subqueries", () => {
+    const { sql, scopedTables } = brandScopeService.scopeSql(
+        `WITH sales AS (SELECT * FROM ${FACT}) `
+        + "SELECT * FROM sales JOIN lakehouse.ap_south1_gold.mv_ads_ad_analysis a ON TRUE "
+        + "JOIN database.global.t_master_platform pl ON TRUE "
+        + "WHERE a.ad_id IN (SELECT ad_id FROM lakehouse.ap_south1_gold.mv_ads_ad_analysis)",
+        SCOPE
+    );
+    assert.deepEqual(scopedTables.sort(), [FACT, "lakehouse.ap_south1_gold.mv_ads_ad_analysis"].sort());
+    // Three fact references, each now read inside a derived table next to the brand join
+    assert.equal(scopedRelations(sql).filter(name => name === "database.global.t_master_brand").length, 3);
+    // Tables without a brand column are shared and left alone
+    assert.match(sql, /JOIN database\.global\.t_master_platform pl ON TRUE/);
+});
+
+test("tables with unknown columns fail closed", () => {
+    assert.equal(rejection("SELECT * FROM database.global.t_not_in_knowledge_base"), "brand_scope_failed");
+});
+
+test("SHOW STATS and metadata on fact tables are refused", () => {
+    assert.equal(rejection(`SHOW STATS FOR (SELECT net_sale FROM ${FACT})`), "brand_scope_failed");
+    assert.equal(rejection("SHOW STATS FOR database.global.t_master_platform"), "brand_scope_failed");
+    assert.equal(rejection(`DESCRIBE ${FACT}`), "brand_scope_failed");
+    assert.equal(rejection(`SHOW COLUMNS FROM ${FACT}`), "brand_scope_failed");
+    assert.equal(rejection("SHOW TABLES FROM lakehouse.ap_south1_gold"), null);
+    assert.equal(rejection("DESCRIBE database.global.t_master_platform"), null);
+});
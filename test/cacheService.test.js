@@ -0,0 +1,126 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startRespServer } = require("./helpers/respServer");
+
+const PREFIX = "test:cache:";
+const ready = client => (client.status === "ready" ? Promise.resolve() : new Promise(resolve => client.once("ready", resolve)));
+let server;
+let cacheService;
+let other;
+
+before(async () => {
+    server = await startRespServer();
+    process.env.CACHE_STORE = "redis";
+    process.env.CACHE_REDIS_URL = server.url;
+    process.env.CACHE_REDIS_PREFIX = PREFIX;
+    cacheService = require("../services/cacheService");
+    // A second app instance pointing at the same server
+    other = new cacheService.RedisCacheStore(server.url, PREFIX, 60000);
+    await Promise.all([ready(cacheService.store.client), ready(other.client)]);
+});
+
+after(async () => {
+    cacheService.store.client.disconnect();
+    other.client.disconnect();
+    await server.close();
+});
+
+const SQL = "SELECT brand, SUM(revenue) FROM hive.ads.mv_ads_daily GROUP BY brand";
+const ROWS = { columns: ["brand", "revenue"], rows: [["acme", 10]] };
+
+test("stores and reads back a result, sharing entries across instances", async () => {
+    await cacheService.set(SQL, ROWS, { tables: ["hive.ads.mv_ads_daily"] });
+
+    // Keywords are case-insensitive, so this is the same entry
+    const hit = await cacheService.get(SQL.replace("SELECT", "select"));
+    assert.deepEqual(hit, { value: ROWS, stale: false });
+
+    const shared = await other.get(cacheService.generateKey(SQL));
+    assert.deepEqual(shared.value, ROWS);
+    assert.deepEqual(shared.tables, ["hive.ads.mv_ads_daily"]);
+});
+
+test("invalidates entries by full and by bare table name", async () => {
+    await cacheService.set(SQL, ROWS, { tables: ["hive.ads.mv_ads_daily"] });
+    assert.equal(await cacheService.invalidateTable("hive.ads.mv_ads_daily"), 1);
+    assert.equal(await cacheService.get(SQL), null);
+
+    await cacheService.set(SQL, ROWS, { tables: ["hive.ads.mv_ads_daily"] });
+    assert.equal(await cacheService.invalidateTable("MV_ADS_DAILY"), 1);
+    assert.equal(await other.get(cacheService.generateKey(SQL)), null);
+});
+
+test("clear removes only this cache's keys", async () => {
+    await cacheService.set(SQL, ROWS, { tables: ["hive.ads.mv_ads_daily"] });
+    await cacheService.set("SELECT 1", ROWS);
+    await cacheService.store.client.set("unrelated", "kept");
+
+    assert.equal(await cacheService.clear(), 2);
+    assert.equal(await cacheService.get("SELECT 1"), null);
+    assert.equal(await cacheService.store.client.get("unrelated"), "kept");
+});
+
+test("stats count hits and misses from every instance", async () => {
+    await cacheService.store.client.del(`${PREFIX}stats`);
+    await cacheService.set(SQL, ROWS);
+    await cacheService.get(SQL);
+    await cacheService.get("SELECT 2");
+    await other.increment("hits");
+    // count() does not wait for the increment; the next command on the connection does
+    await cacheService.store.client.ping();
+
+    const stats = await cacheService.getStats();
+    assert.equal(stats.store, "redis");
+    assert.equal(stats.size, 1);
+    assert.equal(stats.hits, 2);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.hitRate, "66.67%");
+});
+
+test("serves a stale entry past its TTL until the stale window ends", async () => {
+    await cacheService.set(SQL, ROWS, { ttl: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepEqual(await cacheService.get(SQL), { value: ROWS, stale: true });
+});
+
+test("an unreachable server degrades to a cache miss", async () => {
+    const down = new cacheService.RedisCacheStore("redis://127.0.0.1:1", PREFIX, 60000);
+    const store = cacheService.store;
+    cacheService.store = down;
+    try {
+        assert.equal(await cacheService.get(SQL), null);
+        await cacheService.set(SQL, ROWS);
+    } finally {
+        cacheService.store = store;
+        down.client.disconnect();
+    }
+});
+
+test("queries differing only in string literals get different keys", () => {
+    const acme = "SELECT SUM(revenue) FROM hive.ads.mv_ads_daily WHERE brand = 'Acme'";
+    assert.notEqual(cacheService.generateKey(acme), cacheService.generateKey(acme.replace("'Acme'", "'acme'")));
+    assert.notEqual(cacheService.generateKey(acme), cacheService.generateKey(acme.replace("'Acme'", "'Globex'")));
+    assert.notEqual(cacheService.generateKey("SELECT 'a b'"), cacheService.generateKey("SELECT 'a  b'"));
+    // Whitespace and keyword case outside literals do not matter
+    assert.equal(cacheService.generateKey(acme), cacheService.generateKey(acme.replace("SELECT", "select\n ")));
+});
+
+test("the memory store evicts least recently used entries past its byte budget", async () => {
+    const store = new cacheService.MemoryCacheStore(100);
+    const item = bytes => ({ value: null, bytes, tables: [], createdAt: 0, expiresAt: Infinity, staleUntil: Infinity });
+
+    await store.set("a", item(40));
+    await store.set("b", item(40));
+    // Reading "a" makes "b" the least recently used
+    assert.ok(await store.get("a"));
+    await store.set("c", item(40));
+
+    assert.equal(await store.get("b"), null);
+    assert.ok(await store.get("a"));
+    assert.ok(await store.get("c"));
+    assert.deepEqual(await store.stats(), { size: 2, bytes: 80, maxBytes: 100, hits: 0, staleHits: 0, misses: 0, evictions: 1 });
+
+    // Entries larger than the whole budget are refused without evicting anything
+    assert.equal(await store.set("d", item(101)), false);
+    assert.equal((await store.stats()).size, 2);
+});
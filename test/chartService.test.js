@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const chartService = require("../services/chartService");
+
+test("a date column with a measure is drawn as a line chart", () => {
+    const chart = chartService.recommend({
+        columns: ["order_date", "net_sale"],
+        columnTypes: ["date", "double"],
+        rows: [["2024-01-01", 10], ["2024-01-02", 12], ["2024-01-03", 9]],
+    });
+    assert.equal(chart.type, "line");
+    assert.equal(chart.reason, "time_series");
+    assert.deepEqual(chart.encoding, { x: "order_date", y: "net_sale", series: null });
+    assert.equal(chart.spec.encoding.x.type, "temporal");
+    assert.deepEqual(chart.spec.data.values[0], { order_date: "2024-01-01", net_sale: 10 });
+});
+
+test("months formatted as text and a low-cardinality dimension give one line per series", () => {
+    const chart = chartService.recommend({
+        columns: ["month", "platform", "units"],
+        columnTypes: ["varchar", "varchar", "bigint"],
+        rows: [["2024-01", "Amazon", 5], ["2024-01", "Flipkart", 3], ["2024-02", "Amazon", 7], ["2024-02", "Flipkart", 4]],
+    });
+    assert.equal(chart.type, "line");
+    assert.deepEqual(chart.encoding, { x: "month", y: "units", series: "platform" });
+});
+
+test("a category with a measure is drawn as a bar chart sorted by size", () => {
+    const chart = chartService.recommend({
+        columns: ["brand", "revenue"],
+        columnTypes: ["varchar", "decimal(18,2)"],
+        rows: [["Acme", "10.50"], ["Globex", "20.00"], ["Initech", "5.25"]],
+    });
+    assert.equal(chart.type, "bar");
+    assert.equal(chart.reason, "categorical_comparison");
+    assert.equal(chart.spec.encoding.x.sort, "-y");
+
+    // Years are ordinal labels, not measures, and keep their order
+    const yearly = chartService.recommend({
+        columns: ["year", "revenue"],
+        columnTypes: ["bigint", "double"],
+        rows: [[2022, 1], [2023, 2]],
+    });
+    assert.equal(yearly.type, "bar");
+    assert.deepEqual(yearly.spec.encoding.x, { field: "year", type: "ordinal", title: "year", sort: "ascending" });
+});
+
+test("types are inferred from the values when column types are missing", () => {
+    const chart = chartService.recommend({
+        columns: ["day", "clicks"],
+        rows: [["2024-03-01", "4"], ["2024-03-02", "6"]],
+    });
+    assert.equal(chart.type, "line");
+});
+
+test("too many series fall back to the table", () => {
+    const rows = [];
+    for (let i = 0; i < 11; i++) rows.push(["2024-01-01", `brand-${i}`, i], ["2024-01-02", `brand-${i}`, i]);
+    const chart = chartService.recommend({ columns: ["date", "brand", "sales"], columnTypes: ["date", "varchar", "double"], rows });
+    assert.deepEqual(chart, { type: "table", reason: "too_many_series", encoding: null, spec: null });
+
+    // Several measures plus a varying dimension would also be one line per pair
+    const mixed = chartService.recommend({
+        columns: ["brand", "platform", "spend", "sales"],
+        columnTypes: ["varchar", "varchar", "double", "double"],
+        rows: [["Acme", "Amazon", 1, 2], ["Globex", "Flipkart", 3, 4]],
+    });
+    assert.equal(mixed.reason, "too_many_series");
+});
+
+test("results with nothing to plot stay a table", () => {
+    assert.equal(chartService.recommend({ columns: ["brand"], columnTypes: ["varchar"], rows: [["Acme"], ["Globex"]] }).reason, "no_measure");
+    assert.equal(chartService.recommend({ columns: ["brand", "sales"], columnTypes: ["varchar", "double"], rows: [["Acme", 1]] }).reason, "single_row");
+    assert.equal(chartService.recommend({ columns: ["sales"], rows: [] }).reason, "no_rows");
+});
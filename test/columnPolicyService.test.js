@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlGuard = require("../services/sqlGuard");
+const tableAccessService = require("../services/tableAccessService");
+const columnPolicyService = require("../services/columnPolicyService");
+
+const DEFAULTS = { catalog: "hive", schema: "ads" };
+let directory;
+let originalPath;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "column-policy-"));
+    originalPath = tableAccessService.configPath;
+    tableAccessService.configPath = path.join(directory, "tableAccess.json");
+    fs.writeFileSync(tableAccessService.configPath, JSON.stringify({
+        "hive.ads": {
+            panels: { enabled: true, columns: { panel_id: "mask", secret: "deny" } },
+            brands: { enabled: true },
+        },
+    }));
+    tableAccessService.load();
+});
+
+after(() => {
+    tableAccessService.configPath = originalPath;
+    tableAccessService.load();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function check(sql) {
+    const analysis = sqlGuard.analyze(sql, DEFAULTS);
+    columnPolicyService.assertQueryAllowed(analysis, columnPolicyService.getPolicy(analysis.tableNames));
+}
+
+function rejection(sql) {
+    try {
+        check(sql);
+    } catch (error) {
+        return error.code;
+    }
+    return null;
+}
+
+test("masked columns selected under their own name are allowed", () => {
+    assert.equal(rejection("SELECT panel_id, brand FROM panels"), null);
+    assert.equal(rejection("SELECT panel_id FROM panels UNION ALL SELECT panel_id FROM panels"), "masked_column_expression");
+    assert.equal(rejection("SELECT brand FROM panels UNION ALL SELECT brand FROM brands"), null);
+    assert.equal(rejection("SELECT x FROM panels CROSS JOIN UNNEST(ARRAY[1, 2]) AS u(x)"), null);
+});
+
+test("masked columns cannot be renamed by position", () => {
+    const queries = [
+        "SELECT brand FROM brands UNION ALL SELECT panel_id FROM panels",
+        "SELECT brand FROM brands EXCEPT SELECT panel_id FROM panels",
+        "SELECT p FROM (SELECT panel_id FROM panels) AS s(p)",
+        "SELECT p FROM panels CROSS JOIN UNNEST(ARRAY[panel_id]) AS u(p)",
+        "WITH x(p) AS (SELECT panel_id FROM panels) SELECT p FROM x",
+        "WITH x AS (SELECT panel_id FROM panels) SELECT p FROM x AS y(p)",
+        "WITH x AS (SELECT panel_id FROM panels), y AS (SELECT * FROM x) SELECT p FROM y AS z(p)",
+    ];
+    for (const sql of queries) {
+        assert.equal(rejection(sql), "masked_column_expression", sql);
+    }
+});
+
+test("restricted columns cannot be reached through a renamed wildcard", () => {
+    assert.equal(rejection("SELECT a, b FROM panels AS t(a, b)"), "column_not_accessible");
+    assert.equal(rejection("SELECT a FROM (SELECT * FROM panels) AS s(a, b, c)"), "column_not_accessible");
+    assert.equal(rejection("SELECT brand FROM brands UNION ALL SELECT * FROM panels"), "column_not_accessible");
+    assert.equal(rejection("SELECT a FROM (SELECT * FROM brands) AS s(a)"), null);
+});
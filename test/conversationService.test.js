@@ -0,0 +1,93 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const conversationService = require("../services/conversationService");
+
+const { MemoryConversationStore, FileConversationStore, SqliteConversationStore } = conversationService;
+let directory;
+let originalStore;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "conversations-"));
+    originalStore = conversationService.store;
+});
+
+after(() => {
+    conversationService.store = originalStore;
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const STORES = {
+    memory: () => new MemoryConversationStore(),
+    file: () => new FileConversationStore(path.join(directory, "files")),
+    sqlite: () => new SqliteConversationStore(path.join(directory, "conversations.sqlite")),
+};
+
+function turn(question) {
+    return {
+        messages: [{ role: "user", content: question }, { role: "assistant", content: `answer to ${question}` }],
+        transcript: [{ role: "user", content: question }, { role: "assistant", content: `answer to ${question}` }],
+    };
+}
+
+for (const [name, createStore] of Object.entries(STORES)) {
+    test(`${name} store saves, lists and deletes sessions`, async () => {
+        const store = createStore();
+        const session = { id: `${name}-a`, userId: "u1", updatedAt: new Date().toISOString(), messages: [], transcript: [] };
+        await store.save(session);
+        assert.deepEqual(await store.get("u1", session.id), session);
+        assert.equal(await store.get("u2", session.id), null);
+        assert.ok((await store.list()).some(s => s.id === session.id));
+        assert.equal(await store.delete("u2", session.id), false);
+        assert.equal(await store.delete("u1", session.id), true);
+        assert.equal(await store.get("u1", session.id), null);
+        assert.equal(await store.delete("u1", session.id), false);
+    });
+
+    test(`${name} store keeps both of two concurrent turns`, async () => {
+        conversationService.store = createStore();
+        const first = await conversationService.getOrCreateSession(`${name}-b`, "u1");
+        await conversationService.appendTurn(first, turn("q0"));
+
+        // Both turns start from the same saved state, as two requests would
+        const [one, two] = await Promise.all([
+            conversationService.getOrCreateSession(`${name}-b`, "u1"),
+            conversationService.getOrCreateSession(`${name}-b`, "u1"),
+        ]);
+        await Promise.all([
+            conversationService.appendTurn(one, turn("q1")),
+            conversationService.renameSession(`${name}-b`, "Renamed", "u1"),
+            conversationService.appendTurn(two, turn("q2")),
+        ]);
+
+        const saved = await conversationService.getSession(`${name}-b`, "u1");
+        assert.equal(saved.title, "Renamed");
+        assert.deepEqual(saved.transcript.filter(e => e.role === "user").map(e => e.content), ["q0", "q1", "q2"]);
+        assert.equal(saved.messages.length, 6);
+    });
+
+    test(`${name} store keeps users sending the same session id apart`, async () => {
+        conversationService.store = createStore();
+        // Two users start "default" at the same time
+        const [mine, theirs] = await Promise.all([
+            conversationService.getOrCreateSession("default", "u1"),
+            conversationService.getOrCreateSession("default", "u2"),
+        ]);
+        await Promise.all([
+            conversationService.appendTurn(mine, turn("mine")),
+            conversationService.appendTurn(theirs, turn("theirs")),
+        ]);
+
+        const questions = async userId => (await conversationService.getSession("default", userId))
+            .transcript.filter(e => e.role === "user").map(e => e.content);
+        assert.deepEqual(await questions("u1"), ["mine"]);
+        assert.deepEqual(await questions("u2"), ["theirs"]);
+        assert.deepEqual((await conversationService.listSessions("u2")).map(s => s.title), ["theirs"]);
+
+        assert.equal(await conversationService.deleteSession("default", "u1"), true);
+        assert.equal(await conversationService.deleteSession("default", "u1"), false);
+        assert.deepEqual(await questions("u2"), ["theirs"]);
+    });
+}
@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const ExcelJS = require("exceljs");
+const exportService = require("../services/exportService");
+
+async function render(format, rows, notice) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on("data", chunk => chunks.push(chunk));
+    const writer = exportService.createWriter(format, stream);
+    writer.start(["brand", "revenue"], ["varchar", "double"]);
+    await writer.write(rows);
+    await writer.end(notice);
+    const output = Buffer.concat(chunks);
+    return format === "xlsx" ? output : output.toString();
+}
+
+test("a truncation notice never lands among the CSV or NDJSON rows", async () => {
+    const csv = await render("csv", [["acme", 10]], "Export truncated at 1 rows");
+    assert.equal(csv, "brand,revenue\r\nacme,10\r\n");
+
+    const ndjson = await render("ndjson", [["acme", "10"]], "Export truncated at 1 rows");
+    assert.deepEqual(ndjson.trim().split("\n").map(line => JSON.parse(line)), [{ brand: "acme", revenue: 10 }]);
+});
+
+test("an XLSX truncation notice goes on a sheet of its own", async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await render("xlsx", [["acme", "10"]], "Export truncated at 1 rows"));
+    const sheetValues = name => workbook.getWorksheet(name).getSheetValues().filter(Boolean).map(row => row.slice(1));
+    assert.deepEqual(sheetValues("Result"), [["brand", "revenue"], ["acme", 10]]);
+    assert.deepEqual(sheetValues("Notes"), [["Export truncated at 1 rows"]]);
+
+    const complete = new ExcelJS.Workbook();
+    await complete.xlsx.load(await render("xlsx", [["acme", "10"]]));
+    assert.deepEqual(complete.worksheets.map(sheet => sheet.name), ["Result"]);
+});
+
+test("complete exports have no notice", async () => {
+    assert.equal(await render("csv", [["acme", 10]]), "brand,revenue\r\nacme,10\r\n");
+});
+
+test("CSV cells that would run as formulas are kept as text", async () => {
+    const csv = await render("csv", [
+        ["=HYPERLINK(\"http://x\")", -5],
+        ["+1+1", "-12.50"],
+        ["@SUM(A1)", "-1e3"],
+        ["-2+3", "\tcmd"],
+    ]);
+    assert.equal(csv, [
+        "brand,revenue",
+        "\"'=HYPERLINK(\"\"http://x\"\")\",-5",
+        "'+1+1,-12.50",
+        "'@SUM(A1),-1e3",
+        "'-2+3,'\tcmd",
+        "",
+    ].join("\r\n"));
+});
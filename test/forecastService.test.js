@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const forecastService = require("../services/forecastService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK = [5, 3, 8, 1, 9, 4, 6];
+
+function day(i) {
+    return new Date(Date.UTC(2025, 0, 1) + i * DAY_MS).toISOString().split("T")[0];
+}
+
+function month(i) {
+    return new Date(Date.UTC(2023, i, 1)).toISOString().split("T")[0];
+}
+
+function series(length, dateOf, valueOf) {
+    return Array.from({ length }, (_, i) => [dateOf(i), valueOf(i)]);
+}
+
+function method(rows, periods = 7) {
+    return forecastService.forecast(["date", "sales"], rows, periods).series[0].method;
+}
+
+test("picks the model that fits the history best", () => {
+    assert.equal(method(series(56, day, i => 2 * i + 5)), "linear_trend");
+    assert.equal(method(series(56, day, i => 100 + 2 * i + WEEK[i % 7] * 10)), "holt_winters");
+    // 14 months: too short for Holt-Winters, long enough to repeat last year
+    assert.equal(method(series(14, month, i => [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8][i % 12] * 100), 3), "seasonal_naive");
+});
+
+test("prediction intervals surround the forecast and widen with the horizon and confidence", () => {
+    const rows = series(60, day, i => 100 + i + ((i * 37) % 11));
+    const at = level => forecastService.forecast(["date", "sales"], rows, 14, { confidenceLevel: level }).series[0].predictions;
+    const wide = at(0.99);
+    const narrow = at(0.8);
+
+    for (const p of wide) assert.ok(p.lower <= p.value && p.value <= p.upper);
+    assert.ok(wide[13].upper - wide[13].lower > wide[0].upper - wide[0].lower);
+    assert.ok(narrow[0].upper - narrow[0].lower < wide[0].upper - wide[0].lower);
+});
+
+test("non-negative history never forecasts below zero", () => {
+    const result = forecastService.forecast(["date", "orders"], series(30, day, i => Math.max(0, 60 - 2 * i)), 30);
+    for (const p of result.series[0].predictions) assert.ok(p.lower >= 0 && p.value >= 0);
+});
+
+test("detects daily, weekly and monthly data", () => {
+    const times = (count, step) => Array.from({ length: count }, (_, i) => Date.UTC(2025, 0, 1) + i * step * DAY_MS);
+    assert.equal(forecastService.detectGranularity(times(10, 1)), "day");
+    assert.equal(forecastService.detectGranularity(times(10, 7)), "week");
+    assert.equal(forecastService.detectGranularity(Array.from({ length: 10 }, (_, i) => Date.UTC(2025, i, 1))), "month");
+});
+
+test("monthly forecasts step to the end of shorter months", () => {
+    const rows = series(12, i => new Date(Date.UTC(2024, i + 2, 0)).toISOString().split("T")[0], i => 100 + i);
+    assert.equal(rows[rows.length - 1][0], "2025-01-31");
+    const dates = forecastService.forecast(["date", "sales"], rows, 3).series[0].predictions.map(p => p.date);
+    assert.deepEqual(dates, ["2025-02-28", "2025-03-31", "2025-04-30"]);
+});
+
+test("backtest folds move the origin back one horizon at a time", () => {
+    const rows = series(40, day, i => 50 + i + WEEK[i % 7]);
+    const result = forecastService.backtest(["date", "sales"], rows, [7, 14], { folds: 3 });
+    const [seven, fourteen] = result.horizons;
+
+    for (const score of seven.methods) {
+        assert.equal(score.folds, 3);
+        assert.equal(score.points, 21);
+    }
+    // 40 points leave room for two 14-day folds of a model needing 3 points of history
+    const linear = fourteen.methods.find(score => score.method === "linear_trend");
+    assert.equal(linear.folds, 2);
+    assert.equal(linear.points, 28);
+    assert.ok(seven.bestMethod);
+});
+
+test("date and metric columns are chosen by name and content", () => {
+    const columns = ["last_updated", "order_date", "brand_id", "brand", "net_sale"];
+    const detected = forecastService.detectColumns(columns, [["2025-02-01", "2025-01-01", 7, "Acme", "12.5"]]);
+    assert.equal(columns[detected.dateColumnIndex], "order_date");
+    assert.deepEqual(detected.metricColumnIndexes.map(i => columns[i]), ["net_sale"]);
+    assert.deepEqual(detected.dimensionColumnIndexes.map(i => columns[i]), ["last_updated", "brand_id", "brand"]);
+
+    // Without a date-named column, the first column holding dates is used
+    const unnamed = forecastService.detectColumns(["month", "revenue"], [["2025-01", 10]]);
+    assert.equal(unnamed.dateColumnIndex, 0);
+});
@@ -0,0 +1,116 @@
+// Minimal Redis-protocol (RESP) server covering the commands RedisCacheStore uses, so
+// the cache can be tested without a Redis install. Keys live in memory; PX/PEXPIRE are honoured.
+const net = require("net");
+
+const bulk = value => (value === null ? "$-1\r\n" : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+const array = items => `*${items.length}\r\n` + items.map(item => (Array.isArray(item) ? array(item) : bulk(item))).join("");
+const integer = number => `:${number}\r\n`;
+const globToRegex = pattern => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`);
+
+function createState() {
+    const data = new Map();
+    const expiries = new Map();
+    const alive = (key) => {
+        if (expiries.has(key) && Date.now() > expiries.get(key)) {
+            data.delete(key);
+            expiries.delete(key);
+        }
+        return data.has(key);
+    };
+
+    return ([command, ...args]) => {
+        switch (command.toUpperCase()) {
+            case "PING": return "+PONG\r\n";
+            case "INFO": return bulk("# Server\r\nredis_version:7.0.0\r\nloading:0\r\n");
+            case "GET": return bulk(alive(args[0]) ? data.get(args[0]) : null);
+            case "SET":
+                data.set(args[0], args[1]);
+                expiries.delete(args[0]);
+                if ((args[2] || "").toUpperCase() === "PX") expiries.set(args[0], Date.now() + Number(args[3]));
+                return "+OK\r\n";
+            case "DEL": {
+                let removed = 0;
+                for (const key of args) {
+                    if (!alive(key)) continue;
+                    data.delete(key);
+                    expiries.delete(key);
+                    removed++;
+                }
+                return integer(removed);
+            }
+            case "SADD": {
+                alive(args[0]);
+                const set = data.get(args[0]) || new Set();
+                const before = set.size;
+                for (const member of args.slice(1)) set.add(member);
+                data.set(args[0], set);
+                return integer(set.size - before);
+            }
+            case "SMEMBERS": return array(alive(args[0]) ? [...data.get(args[0])] : []);
+            case "PEXPIRE":
+                if (!alive(args[0])) return integer(0);
+                expiries.set(args[0], Date.now() + Number(args[1]));
+                return integer(1);
+            case "HINCRBY": {
+                alive(args[0]);
+                const hash = data.get(args[0]) || new Map();
+                hash.set(args[1], Number(hash.get(args[1]) || 0) + Number(args[2]));
+                data.set(args[0], hash);
+                return integer(hash.get(args[1]));
+            }
+            case "HGETALL": return array(alive(args[0]) ? [...data.get(args[0])].flatMap(([k, v]) => [k, String(v)]) : []);
+            case "SCAN": {
+                const pattern = globToRegex(args[args.indexOf("MATCH") + 1]);
+                return array(["0", [...data.keys()].filter(key => alive(key) && pattern.test(key))]);
+            }
+            default: return `-ERR unknown command '${command}'\r\n`;
+        }
+    };
+}
+
+// Resolves to { url, close() } once listening on a free port
+function startRespServer() {
+    const run = createState();
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+        let buffer = Buffer.alloc(0);
+        socket.on("data", (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (;;) {
+                const text = buffer.toString("latin1");
+                if (text[0] !== "*") return;
+                const headerEnd = text.indexOf("\r\n");
+                if (headerEnd < 0) return;
+                const count = Number(text.slice(1, headerEnd));
+                let position = headerEnd + 2;
+                const args = [];
+                for (let i = 0; i < count; i++) {
+                    const lineEnd = text.indexOf("\r\n", position);
+                    if (lineEnd < 0) return;
+                    const length = Number(text.slice(position + 1, lineEnd));
+                    if (text.length < lineEnd + 2 + length + 2) return;
+                    args.push(buffer.subarray(lineEnd + 2, lineEnd + 2 + length).toString());
+                    position = lineEnd + 2 + length + 2;
+                }
+                buffer = buffer.subarray(position);
+                socket.write(run(args));
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => {
+            resolve({
+                url: `redis://127.0.0.1:${server.address().port}`,
+                close: () => new Promise((done) => {
+                    for (const socket of sockets) socket.destroy();
+                    server.close(() => done());
+                }),
+            });
+        });
+    });
+}
+
+module.exports = { startRespServer };
@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const savedQueryService = require("../services/savedQueryService");
+const sqlGuard = require("../services/sqlGuard");
+
+const DEFINITIONS = [
+    { name: "n", type: "number" },
+    { name: "ids", type: "number", multiple: true },
+    { name: "category", type: "string" },
+];
+
+test("negative numbers cannot turn a minus into a comment", () => {
+    const { sql } = savedQueryService.bind("SELECT spend -:n AS x FROM mv_ads_daily WHERE brand = 'acme'", DEFINITIONS, { n: -5 });
+    assert.equal(sql, "SELECT spend -(-5) AS x FROM mv_ads_daily WHERE brand = 'acme'");
+    // The WHERE clause is still there after tokenizing
+    assert.ok(sqlGuard.tokenize(sql).some(token => token.value === "acme"));
+});
+
+test("number lists and strings bind as literals", () => {
+    const { sql, values } = savedQueryService.bind(
+        "SELECT * FROM t WHERE id IN (:ids) AND category = :category",
+        DEFINITIONS,
+        { ids: ["1", -2.5], category: "Men's" }
+    );
+    assert.equal(sql, "SELECT * FROM t WHERE id IN ((1), (-2.5)) AND category = 'Men''s'");
+    assert.deepEqual(values.ids, [1, -2.5]);
+});
+
+test("parameter names inherited from Object.prototype are refused", () => {
+    for (const name of ["constructor", "toString", "__proto__", "hasOwnProperty"]) {
+        assert.throws(() => savedQueryService.normalizeParameters([{ name, type: "string" }]), { code: "invalid_parameter" }, name);
+    }
+    assert.equal(savedQueryService.normalizeParameters([{ name: "constructor_name", type: "string" }])[0].name, "constructor_name");
+});
+
+test("binding only reads values that were actually given", () => {
+    // A definition stored before such names were refused
+    const definitions = [{ name: "toString", type: "string", required: true }];
+    assert.throws(() => savedQueryService.bind("SELECT :toString", definitions, {}), /Parameter toString is required/);
+    const optional = [{ name: "constructor", type: "string", required: false }];
+    assert.equal(savedQueryService.bind("SELECT :constructor", optional, {}).sql, "SELECT NULL");
+});
@@ -0,0 +1,101 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || "test";
+process.env.SCHEDULER_ENABLED = "false";
+const schedulerService = require("../services/schedulerService");
+
+const SCHEDULE = { id: "schedule-1" };
+const PAYLOAD = { run: { id: "run-1" } };
+let server;
+let baseUrl;
+let requests = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests++;
+        if (req.url === "/redirect") {
+            res.writeHead(302, { Location: "http://169.254.169.254/latest/meta-data/" });
+        } else {
+            res.writeHead(200);
+        }
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => {
+    schedulerService.webhookHosts = [];
+});
+
+test("internal webhook addresses are refused without an allowlist", async () => {
+    for (const url of [
+        "http://127.0.0.1/",
+        "http://localhost:4000/",
+        "http://169.254.169.254/latest/meta-data/",
+        "http://10.1.2.3/",
+        "http://[::1]/",
+        "http://[::ffff:127.0.0.1]/",
+        "http://2130706433/",
+    ]) {
+        await assert.rejects(schedulerService.validateWebhookUrl(url), /private or internal address/, url);
+    }
+    assert.equal(await schedulerService.validateWebhookUrl("https://93.184.216.34/hook"), "https://93.184.216.34/hook");
+});
+
+test("an allowlist admits exactly the listed hosts", async () => {
+    schedulerService.webhookHosts = ["localhost"];
+    assert.equal(await schedulerService.validateWebhookUrl("http://localhost:4000/"), "http://localhost:4000/");
+    await assert.rejects(schedulerService.validateWebhookUrl("https://hooks.example.com/"), /must be one of: localhost/);
+});
+
+test("delivery is refused when the host is not allowed", async () => {
+    const before = requests;
+    const result = await schedulerService.deliver({ ...SCHEDULE, webhookUrl: `${baseUrl}/` }, PAYLOAD);
+    assert.equal(result.status, "failed");
+    assert.equal(result.attempts, 0);
+    assert.equal(requests, before);
+});
+
+test("redirects are reported as failures and not followed", async () => {
+    schedulerService.webhookHosts = ["127.0.0.1"];
+    const result = await schedulerService.deliver({ ...SCHEDULE, webhookUrl: `${baseUrl}/redirect` }, PAYLOAD);
+    assert.equal(result.status, "failed");
+    assert.equal(result.httpStatus, 302);
+    assert.equal(result.attempts, 1);
+
+    const delivered = await schedulerService.deliver({ ...SCHEDULE, webhookUrl: `${baseUrl}/` }, PAYLOAD);
+    assert.equal(delivered.status, "delivered");
+});
+
+test("delivery connects to the addresses that were checked, not a fresh lookup", async () => {
+    const assertWebhookHost = schedulerService.assertWebhookHost;
+    // Stands in for a public host name whose checked address is this test server
+    schedulerService.assertWebhookHost = async () => [{ address: "127.0.0.1", family: 4 }];
+    try {
+        const before = requests;
+        const { port } = server.address();
+        const result = await schedulerService.deliver({ ...SCHEDULE, webhookUrl: `http://hooks.example.invalid:${port}/` }, PAYLOAD);
+        assert.equal(result.status, "delivered");
+        assert.equal(requests, before + 1);
+    } finally {
+        schedulerService.assertWebhookHost = assertWebhookHost;
+    }
+});
+
+test("host names resolving to any internal address are refused", async () => {
+    const dns = require("dns");
+    const lookup = dns.promises.lookup;
+    dns.promises.lookup = async () => [{ address: "93.184.216.34", family: 4 }, { address: "10.0.0.5", family: 4 }];
+    try {
+        await assert.rejects(schedulerService.validateWebhookUrl("https://hooks.example.com/"), /private or internal address/);
+        dns.promises.lookup = async () => [{ address: "93.184.216.34", family: 4 }];
+        assert.deepEqual(await schedulerService.assertWebhookHost(new URL("https://hooks.example.com/")), [{ address: "93.184.216.34", family: 4 }]);
+    } finally {
+        dns.promises.lookup = lookup;
+    }
+});
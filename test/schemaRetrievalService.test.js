@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const schemaRetrievalService = require("../services/schemaRetrievalService");
+
+function table(tableName, description, columns) {
+    const tableInfo = { description: `Table ${tableName}`, columns: {} };
+    for (const [name, columnDescription, knownValues] of columns) {
+        tableInfo.columns[name] = { description: columnDescription || `Column ${name}`, knownValues };
+    }
+    return { fullName: `lakehouse.ap_south1_gold.${tableName}`, tableName, tableInfo, description, hint: "" };
+}
+
+const TABLES = [
+    table("mv_ads_campaign_daily", "Daily advertising performance per campaign", [
+        ["date"], ["campaign_name"], ["ads_spend", "Ad spend"], ["ads_click"], ["ads_impression"], ["ads_sale"],
+    ]),
+    table("mv_sales_daily", "Daily sales per product and marketplace", [
+        ["date"], ["master_product_id"], ["platform", null, ["Amazon", "Flipkart"]], ["net_sale", "Net sales after returns"], ["units"],
+    ]),
+    table("mv_inventory_daily", "Stock on hand per warehouse", [["date"], ["warehouse"], ["stock_units"]]),
+    table("mv_keyword_performance", "Search term performance", [["search_term"], ["ads_click"], ["ads_spend"]]),
+    table("t_master_product", "Product catalogue", [["master_product_id"], ["product_name"], ["category"]]),
+    table("t_master_region", "Regions", [["region_name"], ["country"]]),
+];
+
+const fullName = tableName => `lakehouse.ap_south1_gold.${tableName}`;
+
+function select(question, options = {}) {
+    return schemaRetrievalService.select({ question, tables: TABLES, cacheKey: [TABLES], ...options });
+}
+
+test("ranks the table matching the question first", () => {
+    const index = schemaRetrievalService.buildIndex(TABLES);
+    const ranked = schemaRetrievalService.score(index, schemaRetrievalService.expandQuery("warehouse stock", {}))
+        .sort((a, b) => b.score - a.score);
+    assert.equal(ranked[0].table, fullName("mv_inventory_daily"));
+    assert.ok(ranked[1].score < ranked[0].score);
+
+    const result = select("ads spend per campaign in March");
+    assert.equal(result.mode, "retrieval");
+    assert.equal(result.tables[0].table, fullName("mv_ads_campaign_daily"));
+    assert.equal(result.tables[0].reason, "match");
+    assert.ok(!result.tables.some(t => t.table === fullName("t_master_region")));
+});
+
+test("synonyms and known values lead to the right table, and lookups come along", () => {
+    // "revenue" only matches through the net_sale synonym, "flipkart" through a known value
+    const result = select("revenue on flipkart");
+    assert.equal(result.tables[0].table, fullName("mv_sales_daily"));
+    assert.deepEqual(result.tables.find(t => t.table === fullName("t_master_product")),
+        { table: fullName("t_master_product"), score: null, reason: `join:${fullName("mv_sales_daily")}` });
+});
+
+test("questions matching nothing fall back to every table", () => {
+    const result = select("hello there");
+    assert.equal(result.mode, "full");
+    assert.equal(result.tables.length, TABLES.length);
+    assert.ok(result.tables.every(t => t.reason === "no_match"));
+});
+
+test("tables used earlier in the conversation are kept", () => {
+    const result = select("ads spend per campaign", { pinned: [fullName("t_master_region")] });
+    assert.deepEqual(result.tables[0], { table: fullName("t_master_region"), score: null, reason: "conversation" });
+    assert.ok(result.tables.some(t => t.table === fullName("mv_ads_campaign_daily")));
+});
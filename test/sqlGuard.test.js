@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const sqlGuard = require("../services/sqlGuard");
+
+const DEFAULTS = { catalog: "hive", schema: "ads" };
+
+test("a CTE body reading a table of the same name still reports that table", () => {
+    const { tableNames, ctes } = sqlGuard.analyze("WITH secret AS (SELECT * FROM secret) SELECT * FROM secret", DEFAULTS);
+    assert.deepEqual(tableNames, ["hive.ads.secret"]);
+    assert.deepEqual(ctes, ["secret"]);
+});
+
+test("later CTEs and the main query may read earlier CTEs", () => {
+    const { tableNames } = sqlGuard.analyze(
+        "WITH a AS (SELECT * FROM mv_ads_daily), b AS (SELECT * FROM a) SELECT * FROM b JOIN a ON TRUE",
+        DEFAULTS
+    );
+    assert.deepEqual(tableNames, ["hive.ads.mv_ads_daily"]);
+});
+
+test("a recursive CTE may read itself", () => {
+    const { tableNames } = sqlGuard.analyze(
+        "WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 5) SELECT * FROM n",
+        DEFAULTS
+    );
+    assert.deepEqual(tableNames, []);
+});
+
+test("splitPaging keeps the outer ORDER BY and lifts its OFFSET and LIMIT", () => {
+    assert.deepEqual(sqlGuard.splitPaging("SELECT a FROM t ORDER BY a DESC LIMIT 100"), {
+        sql: "SELECT a FROM t ORDER BY a DESC", ordered: true, offset: 0, limit: 100,
+    });
+    assert.deepEqual(sqlGuard.splitPaging("SELECT a FROM (SELECT a FROM t ORDER BY a LIMIT 3) ORDER BY a OFFSET 2 ROWS"), {
+        sql: "SELECT a FROM (SELECT a FROM t ORDER BY a LIMIT 3) ORDER BY a", ordered: true, offset: 2, limit: null,
+    });
+    // Window and aggregate orderings are not the query's order
+    assert.equal(sqlGuard.splitPaging("SELECT row_number() OVER (ORDER BY a) FROM t LIMIT 10").ordered, false);
+    assert.equal(sqlGuard.splitPaging("SELECT a FROM t ORDER BY a FETCH FIRST 3 ROWS ONLY"), null);
+});
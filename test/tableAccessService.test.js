@@ -0,0 +1,49 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const tableAccessService = require("../services/tableAccessService");
+
+const ACTOR = { id: "admin", name: "Admin" };
+let directory;
+let original;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "table-access-"));
+    original = { configPath: tableAccessService.configPath, auditPath: tableAccessService.auditPath };
+    tableAccessService.configPath = path.join(directory, "tableAccess.json");
+    tableAccessService.auditPath = path.join(directory, "audit.jsonl");
+});
+
+after(() => {
+    Object.assign(tableAccessService, original);
+    tableAccessService.load();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("edits one entry and keeps the others", async () => {
+    fs.writeFileSync(tableAccessService.configPath, JSON.stringify({
+        "hive.ads": { panels: { enabled: false, columns: { panel_id: "mask" } }, brands: { enabled: true } },
+    }));
+    tableAccessService.load();
+
+    const change = await tableAccessService.updateTable("hive.ads", "brands", { enabled: false }, ACTOR);
+    assert.deepEqual(change.after, { enabled: false });
+
+    const saved = JSON.parse(fs.readFileSync(tableAccessService.configPath, "utf-8"));
+    assert.deepEqual(saved["hive.ads"].panels, { enabled: false, columns: { panel_id: "mask" } });
+});
+
+test("refuses to write while the file does not parse", async () => {
+    fs.writeFileSync(tableAccessService.configPath, "{ not json");
+    // A different mtime makes getConfig() notice the change
+    fs.utimesSync(tableAccessService.configPath, new Date(), new Date(Date.now() + 1000));
+
+    await assert.rejects(
+        tableAccessService.updateTable("hive.ads", "brands", { enabled: true }, ACTOR),
+        error => error instanceof tableAccessService.TableAccessError && error.status === 409
+    );
+    assert.equal(fs.readFileSync(tableAccessService.configPath, "utf-8"), "{ not json");
+    assert.equal(tableAccessService.isTableEnabled("hive.ads.panels"), false);
+});